@@ -0,0 +1,23 @@
+// Descarga la taxonomía completa de Google (taxonomy-with-ids) durante el build a un archivo
+// ignorado por git. Si la descarga falla el server usa el subset incluido en el repo.
+const fs = require('fs');
+const path = require('path');
+
+const LOCALE = process.env.GOOGLE_TAXONOMY_LOCALE || 'en-US';
+const URL = `https://www.google.com/basepages/producttype/taxonomy-with-ids.${LOCALE}.txt`;
+const OUT = path.join(__dirname, '..', 'data', 'google-product-taxonomy.full.txt');
+const MIN_ENTRIES = 1000; // el archivo oficial tiene ~5.600; menos que esto es una respuesta rota
+
+(async () => {
+  try {
+    const r = await fetch(URL, { signal: AbortSignal.timeout(20000) });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const text = await r.text();
+    const entries = text.split(/\r?\n/).filter((line) => /^\d+\s+-\s+\S/.test(line)).length;
+    if (entries < MIN_ENTRIES) throw new Error(`solo ${entries} categorías`);
+    fs.writeFileSync(OUT, text);
+    console.log(`[Taxonomy] ${entries} categorías (${LOCALE}) guardadas en ${path.relative(process.cwd(), OUT)}`);
+  } catch (err) {
+    console.warn(`[Taxonomy] No se pudo descargar ${URL} (${err.message}); se usa el subset incluido`);
+  }
+})();
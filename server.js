@@ -2,6 +2,10 @@
 const express = require('express');
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const fs = require('fs');
+const path = require('path');
+const { waitUntil } = require('@vercel/functions');
 
 // --- fetch (Node 18+ trae global fetch; en otras versiones cae a node-fetch)
 const fetch = (...args) => {
@@ -42,6 +46,13 @@ function getConnectionString() {
         ssl: { rejectUnauthorized: false },
       });
       await ensureSchema();
+      // Si la migración falla la DB se sigue usando (las filas sin migrar se reintentan al arrancar)
+      await migrateTokenEncryption().catch((err) => {
+        console.error('[Tokens] ERROR migrando el cifrado de tokens:', err);
+      });
+      await migrateLegacyFeedTokens().catch((err) => {
+        console.error('[Feed] ERROR migrando tokens de feed de tiendas existentes:', err);
+      });
       console.log('[DB] Pool inicializado y schema verificado');
     } else {
       console.warn('[DB] Sin cadena de conexión: se usará almacenamiento en memoria');
@@ -62,9 +73,136 @@ async function ensureSchema() {
       created_at TIMESTAMPTZ DEFAULT NOW()
     );
     CREATE UNIQUE INDEX IF NOT EXISTS idx_tokens_store_id ON tokens(store_id);
+    ALTER TABLE tokens ADD COLUMN IF NOT EXISTS key_id TEXT;
+    CREATE TABLE IF NOT EXISTS feed_cache (
+      cache_key TEXT PRIMARY KEY,
+      store_id TEXT NOT NULL,
+      params JSONB NOT NULL DEFAULT '{}'::jsonb,
+      body_gz BYTEA NOT NULL,
+      etag TEXT NOT NULL,
+      generated_at TIMESTAMPTZ NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      stale_until TIMESTAMPTZ NOT NULL,
+      refreshing_until TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS idx_feed_cache_store_id ON feed_cache(store_id);
+    CREATE TABLE IF NOT EXISTS product_mirror (
+      store_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      data JSONB NOT NULL,
+      updated_at TIMESTAMPTZ,
+      synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (store_id, product_id)
+    );
+    CREATE TABLE IF NOT EXISTS catalog_sync (
+      store_id TEXT PRIMARY KEY,
+      last_full_sync_at TIMESTAMPTZ,
+      last_reconciled_at TIMESTAMPTZ
+    );
+    CREATE TABLE IF NOT EXISTS product_overrides (
+      store_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      variant_id TEXT NOT NULL DEFAULT '',
+      fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (store_id, product_id, variant_id)
+    );
+    CREATE TABLE IF NOT EXISTS feed_snapshots (
+      id BIGSERIAL PRIMARY KEY,
+      store_id TEXT NOT NULL,
+      cache_key TEXT NOT NULL,
+      params JSONB NOT NULL DEFAULT '{}'::jsonb,
+      etag TEXT NOT NULL,
+      items_count INTEGER NOT NULL,
+      items_gz BYTEA NOT NULL,
+      generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_feed_snapshots_key ON feed_snapshots(cache_key, generated_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_feed_snapshots_store_id ON feed_snapshots(store_id);
+    CREATE TABLE IF NOT EXISTS app_migrations (
+      name TEXT PRIMARY KEY,
+      ran_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS store_settings (
+      store_id TEXT PRIMARY KEY,
+      settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
   `);
 }
 
+/* =========================
+   Cifrado de tokens (AES-256-GCM)
+   ========================= */
+
+// TOKEN_ENCRYPTION_KEYS="k2:<base64 32 bytes>,k1:<...>": la primera cifra, todas descifran.
+// Cada fila guarda el key_id con que se cifró; key_id NULL = texto plano (filas anteriores).
+function parseTokenKeys(raw) {
+  const keys = new Map();
+  for (const part of String(raw || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const idx = part.indexOf(':');
+    const id = part.slice(0, idx).trim();
+    const val = part.slice(idx + 1).trim();
+    const key = /^[0-9a-f]{64}$/i.test(val) ? Buffer.from(val, 'hex') : Buffer.from(val, 'base64');
+    if (idx <= 0 || key.length !== 32) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS: clave "${id || part}" inválida (formato id:<32 bytes en base64 o hex>)`);
+    }
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+const TOKEN_KEYS = parseTokenKeys(process.env.TOKEN_ENCRYPTION_KEYS);
+const ACTIVE_TOKEN_KEY_ID = TOKEN_KEYS.size ? TOKEN_KEYS.keys().next().value : null;
+if (!ACTIVE_TOKEN_KEY_ID) console.warn('[Tokens] TOKEN_ENCRYPTION_KEYS no configurado: los tokens se guardan sin cifrar');
+
+// AAD = store_id: un token copiado a otra fila no descifra
+function encryptToken(storeId, plain) {
+  if (!ACTIVE_TOKEN_KEY_ID) return { value: plain, keyId: null };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TOKEN_KEYS.get(ACTIVE_TOKEN_KEY_ID), iv);
+  cipher.setAAD(Buffer.from(String(storeId)));
+  const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const value = [iv, ct, cipher.getAuthTag()].map((b) => b.toString('base64url')).join('.');
+  return { value, keyId: ACTIVE_TOKEN_KEY_ID };
+}
+
+function decryptToken(storeId, value, keyId) {
+  if (!keyId) return value;
+  const key = TOKEN_KEYS.get(keyId);
+  if (!key) throw new Error(`clave "${keyId}" no configurada en TOKEN_ENCRYPTION_KEYS`);
+  const [iv, ct, tag] = String(value).split('.').map((s) => Buffer.from(s, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(String(storeId)));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]).toString('utf8');
+}
+
+// Migración: cifra las filas en texto plano y re-cifra las de claves viejas con la activa.
+// El UPDATE condicionado al key_id leído evita pisar un token guardado mientras tanto.
+async function migrateTokenEncryption() {
+  if (!pool || !ACTIVE_TOKEN_KEY_ID) return;
+  const { rows } = await pool.query(
+    'SELECT store_id, access_token, key_id FROM tokens WHERE key_id IS DISTINCT FROM $1',
+    [ACTIVE_TOKEN_KEY_ID]
+  );
+  let migrated = 0;
+  for (const row of rows) {
+    try {
+      const { value, keyId } = encryptToken(row.store_id, decryptToken(row.store_id, row.access_token, row.key_id));
+      const r = await pool.query(
+        `UPDATE tokens SET access_token = $2, key_id = $3
+         WHERE store_id = $1 AND key_id IS NOT DISTINCT FROM $4`,
+        [row.store_id, value, keyId, row.key_id]
+      );
+      migrated += r.rowCount;
+    } catch (err) {
+      console.error(`[Tokens] No se pudo migrar el token de store_id=${row.store_id}:`, err.message);
+    }
+  }
+  if (migrated) console.log(`[Tokens] ${migrated} tokens cifrados con la clave "${ACTIVE_TOKEN_KEY_ID}"`);
+}
+
 // Fallback en memoria (mientras no haya DB)
 const storeTokens = Object.create(null);
 
@@ -72,13 +210,15 @@ async function saveToken(storeId, accessToken) {
   storeTokens[storeId] = accessToken;
   if (!pool) return;
   try {
+    const { value, keyId } = encryptToken(storeId, accessToken);
     await pool.query(
-      `INSERT INTO tokens (store_id, access_token, created_at)
-       VALUES ($1, $2, NOW())
+      `INSERT INTO tokens (store_id, access_token, key_id, created_at)
+       VALUES ($1, $2, $3, NOW())
        ON CONFLICT (store_id)
        DO UPDATE SET access_token = EXCLUDED.access_token,
+                     key_id       = EXCLUDED.key_id,
                      created_at   = NOW()`,
-      [storeId, accessToken]
+      [storeId, value, keyId]
     );
     console.log(`[DB] Token guardado para store_id=${storeId}`);
   } catch (err) {
@@ -90,10 +230,10 @@ async function getToken(storeId) {
   if (pool) {
     try {
       const { rows } = await pool.query(
-        'SELECT access_token FROM tokens WHERE store_id = $1 LIMIT 1',
+        'SELECT access_token, key_id FROM tokens WHERE store_id = $1 LIMIT 1',
         [storeId]
       );
-      if (rows.length) return rows[0].access_token;
+      if (rows.length) return decryptToken(storeId, rows[0].access_token, rows[0].key_id);
     } catch (err) {
       console.error('[DB] ERROR leyendo token:', err);
     }
@@ -101,19 +241,24 @@ async function getToken(storeId) {
   return storeTokens[storeId] || null;
 }
 
+// Igual que getToken: una fila que no se puede descifrar (ej. su clave ya no está en
+// TOKEN_ENCRYPTION_KEYS) cuenta como no instalada
 async function hasToken(storeId) {
   if (!storeId) return false;
+  return !!(await getToken(storeId));
+}
+
+// store_ids con token (para tareas programadas)
+async function listInstalledStores() {
   if (pool) {
     try {
-      const { rows } = await pool.query('SELECT 1 FROM tokens WHERE store_id = $1 LIMIT 1', [
-        storeId,
-      ]);
-      return rows.length > 0;
-    } catch (e) {
-      console.error('[DB] hasToken error:', e);
+      const { rows } = await pool.query('SELECT store_id FROM tokens ORDER BY created_at ASC');
+      return rows.map((r) => r.store_id);
+    } catch (err) {
+      console.error('[DB] ERROR listando tiendas:', err);
     }
   }
-  return !!storeTokens[storeId];
+  return Object.keys(storeTokens);
 }
 
 async function deleteToken(storeId) {
@@ -127,6 +272,239 @@ async function deleteToken(storeId) {
   }
 }
 
+/* =========================
+   Settings por tienda (JSON)
+   ========================= */
+
+// Fallback en memoria (mientras no haya DB)
+const storeSettings = Object.create(null);
+
+async function getStoreSettings(storeId) {
+  const sid = String(storeId);
+  if (pool) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT settings FROM store_settings WHERE store_id = $1 LIMIT 1',
+        [sid]
+      );
+      if (rows.length) return rows[0].settings || {};
+    } catch (err) {
+      console.error('[DB] ERROR leyendo settings:', err);
+    }
+  }
+  return storeSettings[sid] || {};
+}
+
+// Merge de primer nivel: saveStoreSettings(sid, { variant_attributes: {...} })
+async function saveStoreSettings(storeId, patch) {
+  const sid = String(storeId);
+  storeSettings[sid] = { ...(storeSettings[sid] || {}), ...patch };
+  if (!pool) return;
+  try {
+    await pool.query(
+      `INSERT INTO store_settings (store_id, settings, updated_at)
+       VALUES ($1, $2::jsonb, NOW())
+       ON CONFLICT (store_id)
+       DO UPDATE SET settings   = store_settings.settings || EXCLUDED.settings,
+                     updated_at = NOW()`,
+      [sid, JSON.stringify(patch)]
+    );
+  } catch (err) {
+    console.error('[DB] ERROR guardando settings:', err);
+  }
+}
+
+/* =========================
+   Overrides por producto / variante (datos suplementarios)
+   ========================= */
+
+// Campos que el comerciante puede pisar para el feed. variant_id '' = todo el producto;
+// el override de variante gana sobre el de producto.
+const CUSTOM_LABEL_FIELDS = ['custom_label_0', 'custom_label_1', 'custom_label_2', 'custom_label_3', 'custom_label_4'];
+const OVERRIDE_FIELDS = ['title', 'description', 'brand', 'condition', ...CUSTOM_LABEL_FIELDS];
+const OVERRIDE_CSV_COLUMNS = ['product_id', 'variant_id', ...OVERRIDE_FIELDS];
+const CUSTOM_LABEL_MAX = 100; // límite de Google
+
+// Fallback en memoria (mientras no haya DB)
+const productOverrides = Object.create(null); // store_id -> Map("pid|vid" -> row)
+
+function overrideKey(productId, variantId) {
+  return `${productId}|${variantId || ''}`;
+}
+
+// Valida y normaliza { product_id, variant_id, ...campos } => { row } | { error }
+function normalizeOverride(input) {
+  const product_id = String(input?.product_id ?? '').trim();
+  const variant_id = String(input?.variant_id ?? '').trim();
+  if (!/^\d+$/.test(product_id)) return { error: 'product_id inválido' };
+  if (variant_id && !/^\d+$/.test(variant_id)) return { error: 'variant_id inválido' };
+  const fields = {};
+  for (const f of OVERRIDE_FIELDS) {
+    const val = String(input?.[f] ?? '').trim();
+    if (val) fields[f] = val;
+  }
+  if (fields.condition) {
+    fields.condition = fields.condition.toLowerCase();
+    if (!RULE_CONDITIONS_ALLOWED.includes(fields.condition)) {
+      return { error: `condition debe ser ${RULE_CONDITIONS_ALLOWED.join(', ')}` };
+    }
+  }
+  for (const f of CUSTOM_LABEL_FIELDS) {
+    if (fields[f] && fields[f].length > CUSTOM_LABEL_MAX) return { error: `${f} supera ${CUSTOM_LABEL_MAX} caracteres` };
+  }
+  return { row: { product_id, variant_id, fields } };
+}
+
+async function listProductOverrides(storeId) {
+  const sid = String(storeId);
+  if (pool) {
+    try {
+      const { rows } = await pool.query(
+        `SELECT product_id, variant_id, fields FROM product_overrides
+         WHERE store_id = $1 ORDER BY product_id::bigint, variant_id`,
+        [sid]
+      );
+      return rows;
+    } catch (err) {
+      console.error('[DB] ERROR leyendo overrides:', err);
+    }
+  }
+  return Array.from((productOverrides[sid] || new Map()).values());
+}
+
+// Upsert de filas normalizadas; una fila sin campos borra el override. replace=true borra
+// antes todos los de la tienda (importación completa).
+async function saveProductOverrides(storeId, rows, { replace = false } = {}) {
+  const sid = String(storeId);
+  const mem = replace || !productOverrides[sid] ? new Map() : productOverrides[sid];
+  for (const r of rows) {
+    if (Object.keys(r.fields).length) mem.set(overrideKey(r.product_id, r.variant_id), r);
+    else mem.delete(overrideKey(r.product_id, r.variant_id));
+  }
+  productOverrides[sid] = mem;
+  if (!pool) return;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (replace) await client.query('DELETE FROM product_overrides WHERE store_id = $1', [sid]);
+    await client.query(
+      `DELETE FROM product_overrides o
+        USING jsonb_to_recordset($2::jsonb) AS x(product_id TEXT, variant_id TEXT, fields JSONB)
+        WHERE o.store_id = $1 AND o.product_id = x.product_id AND o.variant_id = x.variant_id
+          AND x.fields = '{}'::jsonb`,
+      [sid, JSON.stringify(rows)]
+    );
+    await client.query(
+      `INSERT INTO product_overrides (store_id, product_id, variant_id, fields, updated_at)
+       SELECT $1, x.product_id, x.variant_id, x.fields, NOW()
+         FROM jsonb_to_recordset($2::jsonb) AS x(product_id TEXT, variant_id TEXT, fields JSONB)
+        WHERE x.fields <> '{}'::jsonb
+       ON CONFLICT (store_id, product_id, variant_id)
+       DO UPDATE SET fields = EXCLUDED.fields, updated_at = NOW()`,
+      [sid, JSON.stringify(rows)]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[DB] ERROR guardando overrides:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Aplica overrides a los items aplanados (antes de exclusiones y reglas, así las reglas
+// ven los valores finales). Un título de producto conserva el sufijo de la variante.
+function applyProductOverrides(items, overrides) {
+  if (!overrides?.length) return items;
+  const byKey = new Map(overrides.map((o) => [overrideKey(o.product_id, o.variant_id), o.fields]));
+  return items.map((it) => {
+    const pid = String(it.rawProduct?.id ?? '');
+    const productFields = byKey.get(overrideKey(pid, '')) || {};
+    const variantFields = it.variant_id ? byKey.get(overrideKey(pid, it.variant_id)) || {} : {};
+    if (!Object.keys(productFields).length && !Object.keys(variantFields).length) return it;
+
+    const out = { ...it, ...pickOverrideFields(productFields), ...pickOverrideFields(variantFields) };
+    if (variantFields.title) {
+      out.title = variantFields.title;
+    } else if (productFields.title) {
+      out.product_title = productFields.title;
+      out.title = it.variant_title ? `${productFields.title} - ${it.variant_title}` : productFields.title;
+    }
+    return out;
+  });
+}
+
+function pickOverrideFields(fields) {
+  const out = {};
+  if (fields.description) out.description = fields.description;
+  if (fields.brand) out.brand_override = fields.brand;
+  if (fields.condition) out.condition = fields.condition;
+  for (const f of CUSTOM_LABEL_FIELDS) if (fields[f]) out[f] = fields[f];
+  return out;
+}
+
+// Marca del item: override (si hay) o la del producto
+function itemBrand(storeId, it) {
+  return it.brand_override || getBrandForProduct(storeId, it.rawProduct || {});
+}
+
+// CSV -> filas (arrays). Soporta comillas, "" escapado y saltos de línea dentro de comillas.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  // Excel en español exporta con ';'
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delim = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// => { rows, errors: [{ line, error }] }. Columnas por nombre (OVERRIDE_CSV_COLUMNS).
+function parseOverridesCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return { rows: [], errors: [] };
+  const cols = header.map((h) => h.trim().toLowerCase());
+  if (!cols.includes('product_id')) return { rows: [], errors: [{ line: 1, error: 'falta la columna product_id' }] };
+  const rows = [];
+  const errors = [];
+  lines.forEach((cells, i) => {
+    const input = Object.fromEntries(cols.map((c, j) => [c, cells[j] ?? '']));
+    const { row, error } = normalizeOverride(input);
+    if (error) errors.push({ line: i + 2, error });
+    else rows.push(row);
+  });
+  return { rows, errors };
+}
+
+function overridesToCsv(overrides) {
+  return toCsv(
+    OVERRIDE_CSV_COLUMNS,
+    overrides.map((o) => ({ product_id: o.product_id, variant_id: o.variant_id, ...o.fields }))
+  );
+}
+
 /* =========================
    Config / Env
    ========================= */
@@ -136,11 +514,26 @@ const LOGO_URL = process.env.LOGO_URL || 'https://www.sacudigital.com/apps-sacu/
 
 // Cache feed (in-memory per instancia)
 const FEED_CACHE_TTL_SECONDS = Number(process.env.FEED_CACHE_TTL_SECONDS || '300'); // 5m default
+// Pasado el TTL se sirve el feed viejo mientras se regenera (stale-while-revalidate)
+const FEED_CACHE_STALE_SECONDS = Number(process.env.FEED_CACHE_STALE_SECONDS || '86400'); // 24h default
+// Historial de generaciones del feed: se guardan las de los últimos N días, hasta M por feed
+const FEED_HISTORY_DAYS = Number(process.env.FEED_HISTORY_DAYS || '30');
+const FEED_HISTORY_MAX = Number(process.env.FEED_HISTORY_MAX || '60');
+// Secreto para los endpoints /cron/* (Vercel Cron lo manda como Authorization: Bearer)
+const CRON_SECRET = process.env.CRON_SECRET || '';
 const VARIANT_MODE = (process.env.VARIANT_MODE || 'split').toLowerCase(); // split | first
 // Defaults de marca
 const DEFAULT_BRAND = process.env.DEFAULT_BRAND || ''; // fallback global (si no se detecta marca)
 const BRAND_MAP = process.env.BRAND_MAP || ''; // "2307236:Los Locos,6467092:VRX"
 
+// API Tiendanube: versión (v1 o fecha, ej. 2025-03), reintentos y concurrencia
+const TN_API_VERSION = (process.env.API_VERSION || 'v1').trim();
+const TN_MAX_RETRIES = Number(process.env.TN_MAX_RETRIES || '5');
+const TN_RETRY_BASE_MS = Number(process.env.TN_RETRY_BASE_MS || '500');
+const TN_RETRYABLE_STATUS = new Set([500, 502, 503, 504]);
+const TN_STORE_CONCURRENCY = Number(process.env.TN_STORE_CONCURRENCY || '4'); // requests en vuelo por tienda
+const TN_PAGE_CONCURRENCY = Number(process.env.TN_PAGE_CONCURRENCY || '3'); // páginas en paralelo por listado
+
 /* =========================
    Helpers Tiendanube
    ========================= */
@@ -206,9 +599,15 @@ function resolveDomainOverrides(req, storeId) {
   return null;
 }
 
-function productLink(storeDomain, handle) {
+// Ruta de producto según idioma del storefront
+const PRODUCT_PATHS = { es: 'productos', pt: 'produtos', en: 'products' };
+
+// variantId => ?variant= preselecciona la variante en la página de producto
+function productLink(storeDomain, handle, lang, variantId) {
   const host = normalizeDomain(storeDomain) || 'invalid-domain';
-  return `https://${host}/productos/${handle}/?utm_source=xml`;
+  const path = PRODUCT_PATHS[lang] || PRODUCT_PATHS.es;
+  const variant = variantId ? `variant=${encodeURIComponent(variantId)}&` : '';
+  return `https://${host}/${path}/${handle}/?${variant}utm_source=xml`;
 }
 
 function xmlEscape(s) {
@@ -225,10 +624,13 @@ function safeCdata(s) {
   return String(s || '').replace(/\]\]>/g, ']]]]><![CDATA[>');
 }
 
-function getLocalized(val) {
+// getLocalized(val, 'pt', 'es') => prueba pt, luego es; si no, la primera clave
+function getLocalized(val, ...langs) {
   if (val === undefined || val === null) return '';
   if (typeof val === 'object') {
-    if (val.es) return val.es;
+    for (const l of [...langs, 'es']) {
+      if (l && val[l]) return val[l];
+    }
     const keys = Object.keys(val);
     return keys.length > 0 ? val[keys[0]] : '';
   }
@@ -280,109 +682,668 @@ function getBrandForProduct(storeId, p) {
    API Tiendanube
    ========================= */
 
-async function tnFetch(storeId, token, path) {
-  const base = `https://api.tiendanube.com/v1/${storeId}`;
+async function tnFetch(storeId, token, path, opts = {}) {
+  const { data } = await tnRequest(storeId, token, path, opts);
+  return data;
+}
+
+// Presupuesto de requests por tienda, compartido por todas las llamadas concurrentes de
+// esta instancia: máximo TN_STORE_CONCURRENCY en vuelo y pausa cuando el bucket de
+// Tiendanube (x-rate-limit-remaining) está por vaciarse.
+const tnBudgets = new Map(); // store_id -> { active, queue, remaining, resetAt }
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
+function getBudget(storeId) {
+  const sid = String(storeId);
+  if (!tnBudgets.has(sid)) tnBudgets.set(sid, { active: 0, queue: [], remaining: null, resetAt: 0 });
+  return tnBudgets.get(sid);
+}
+
+async function acquireBudget(storeId) {
+  const b = getBudget(storeId);
+  while (b.active >= TN_STORE_CONCURRENCY) {
+    await new Promise((resolve) => b.queue.push(resolve));
+  }
+  b.active += 1;
+  if (b.remaining !== null && b.remaining <= 1 && b.resetAt > Date.now()) {
+    await sleep(Math.min(b.resetAt - Date.now(), 10000));
+    b.remaining = null;
+  }
+  if (b.remaining !== null) b.remaining -= 1;
+}
+
+function releaseBudget(storeId) {
+  const b = getBudget(storeId);
+  b.active -= 1;
+  const next = b.queue.shift();
+  if (next) next();
+}
+
+// x-rate-limit-remaining: requests libres; x-rate-limit-reset: ms hasta vaciar el bucket
+function updateBudget(storeId, headers) {
+  const b = getBudget(storeId);
+  const remaining = Number(headers.get('x-rate-limit-remaining'));
+  const reset = Number(headers.get('x-rate-limit-reset'));
+  if (Number.isFinite(remaining) && headers.has('x-rate-limit-remaining')) b.remaining = remaining;
+  if (Number.isFinite(reset) && headers.has('x-rate-limit-reset')) b.resetAt = Date.now() + reset;
+}
+
+// Espera antes de reintentar: Retry-After / x-rate-limit-reset si vienen, si no backoff
+// exponencial; siempre con jitter para no sincronizar instancias.
+function retryDelayMs(res, attempt) {
+  const retryAfter = Number(res?.headers?.get('retry-after'));
+  const reset = Number(res?.headers?.get('x-rate-limit-reset'));
+  let base = Math.min(TN_RETRY_BASE_MS * 2 ** attempt, 15000);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) base = retryAfter * 1000;
+  else if (res?.status === 429 && Number.isFinite(reset) && reset > 0) base = reset;
+  return Math.round(base * (0.5 + Math.random() / 2));
+}
+
+// => { data, headers, status }. Reintenta 429 / 5xx transitorios / errores de red
+// (escrituras solo ante 429, que garantiza que no se procesaron).
+async function tnRequest(storeId, token, path, { method = 'GET', body } = {}) {
+  const base = `https://api.tiendanube.com/${TN_API_VERSION}/${storeId}`;
   const url = `${base}${path}`;
   const ua = process.env.TN_USER_AGENT || 'feed-xml-by-sacu (contacto@sacudigital.com)';
+  const idempotent = method === 'GET';
+  const m = getMetrics(storeId);
 
-  const res = await fetch(url, {
-    headers: {
-      'Content-Type': 'application/json',
-      'User-Agent': ua,
-      'Authentication': `bearer ${token}`,
-    },
-  });
+  for (let attempt = 0; ; attempt++) {
+    await acquireBudget(storeId);
+    let res;
+    try {
+      m.api_requests += 1;
+      res = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': ua,
+          'Authentication': `bearer ${token}`,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      updateBudget(storeId, res.headers);
+    } catch (netErr) {
+      if (!idempotent || attempt >= TN_MAX_RETRIES) throw netErr;
+      m.api_retries += 1;
+      await sleep(retryDelayMs(null, attempt));
+      continue;
+    } finally {
+      releaseBudget(storeId);
+    }
+
+    if (res.ok) {
+      const data = res.status === 204 ? null : await res.json().catch(() => null);
+      return { data, headers: res.headers, status: res.status };
+    }
+
+    const retryable = res.status === 429 || (idempotent && TN_RETRYABLE_STATUS.has(res.status));
+    if (retryable && attempt < TN_MAX_RETRIES) {
+      await res.text().catch(() => '');
+      m.api_retries += 1;
+      const wait = retryDelayMs(res, attempt);
+      console.warn(`[TN] ${res.status} en ${method} ${path} (store_id=${storeId}), reintento en ${wait}ms`);
+      await sleep(wait);
+      continue;
+    }
 
-  if (!res.ok) {
     const text = await res.text().catch(() => '');
     const err = new Error(`Tiendanube API ${res.status} ${res.statusText} – ${text}`);
     err.status = res.status;
     throw err;
   }
-  return res.json();
 }
 
-async function fetchAllProducts(storeId, token) {
-  let page = 1;
-  const per_page = 200;
-  const all = [];
-  while (true) {
-    const data = await tnFetch(storeId, token, `/products?page=${page}&per_page=${per_page}`);
-    if (!Array.isArray(data) || data.length === 0) break;
+// Ejecuta fn sobre items con como mucho `limit` en paralelo (mantiene el orden)
+async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return out;
+}
+
+// Todas las páginas de un listado. Con x-total-count se piden en paralelo
+// (TN_PAGE_CONCURRENCY); si no viene, página por página. 404 pasada la última = fin.
+const TN_PER_PAGE = 200;
+function listPagePath(resource, page, filters = {}) {
+  const extra = Object.entries(filters)
+    .map(([k, v]) => `&${k}=${encodeURIComponent(v)}`)
+    .join('');
+  return `${resource}?page=${page}&per_page=${TN_PER_PAGE}${extra}`;
+}
+
+async function fetchAllPages(storeId, token, resource, filters = {}) {
+  const per_page = TN_PER_PAGE;
+  const pagePath = (page) => listPagePath(resource, page, filters);
+  const getPage = async (page) => {
+    try {
+      const { data } = await tnRequest(storeId, token, pagePath(page));
+      return Array.isArray(data) ? data : [];
+    } catch (err) {
+      if (err.status === 404 && page > 1) return [];
+      throw err;
+    }
+  };
+
+  const first = await tnRequest(storeId, token, pagePath(1));
+  const all = Array.isArray(first.data) ? [...first.data] : [];
+  if (all.length < per_page) return all;
+
+  const total = Number(first.headers.get('x-total-count'));
+  if (Number.isFinite(total) && total > 0) {
+    const pages = Array.from({ length: Math.ceil(total / per_page) - 1 }, (_, i) => i + 2);
+    const rest = await mapWithConcurrency(pages, TN_PAGE_CONCURRENCY, getPage);
+    for (const data of rest) all.push(...data);
+    return all;
+  }
+
+  for (let page = 2; ; page++) {
+    const data = await getPage(page);
     all.push(...data);
     if (data.length < per_page) break;
-    page += 1;
   }
   return all;
 }
 
+// Igual que fetchAllPages pero de a una página, llamando await fn(items) por cada una
+// (nunca junta el listado entero en memoria)
+async function forEachPage(storeId, token, resource, filters, fn) {
+  for (let page = 1; ; page++) {
+    let data;
+    try {
+      ({ data } = await tnRequest(storeId, token, listPagePath(resource, page, filters)));
+    } catch (err) {
+      if (err.status === 404 && page > 1) break;
+      throw err;
+    }
+    const list = Array.isArray(data) ? data : [];
+    if (list.length) await fn(list);
+    if (list.length < TN_PER_PAGE) break;
+  }
+}
+
+// filters: parámetros extra de /products (ej. { updated_at_min })
+async function fetchAllProducts(storeId, token, filters = {}) {
+  return fetchAllPages(storeId, token, '/products', filters);
+}
+
 /* =========================
-   Dominio público: query -> DOMAINS_MAP -> /domains -> /store -> fallback
+   Mirror del catálogo (Postgres): webhooks product/* + reconciliación incremental
    ========================= */
-async function getPublicDomain(req, storeId, token) {
-  const override = resolveDomainOverrides(req, storeId);
-  if (override) return override;
 
-  // /domains
-  try {
-    const arr = await tnFetch(storeId, token, '/domains');
-    const domains = Array.isArray(arr) ? arr.map((d) => normalizeDomain(d?.domain ?? d)) : [];
-    const pick = pickBestDomain(domains);
-    if (pick) return pick;
-  } catch (_) {}
+// Cada cuánto, al armar un feed, se piden a la API los productos cambiados (updated_at_min)
+const MIRROR_RECONCILE_SECONDS = Number(process.env.MIRROR_RECONCILE_SECONDS || '300');
+// Cada cuánto se recorre el catálogo completo (detecta bajas que no llegaron por webhook)
+const MIRROR_FULL_SYNC_DAYS = Number(process.env.MIRROR_FULL_SYNC_DAYS || '7');
 
-  // /store
-  try {
-    const store = await tnFetch(storeId, token, '/store');
-    const domainsFromStore =
-      Array.isArray(store?.domains) ? store.domains : Array.isArray(store?.domain) ? store.domain : null;
+async function getCatalogState(storeId) {
+  const { rows } = await pool.query(
+    'SELECT last_full_sync_at, last_reconciled_at FROM catalog_sync WHERE store_id = $1 LIMIT 1',
+    [String(storeId)]
+  );
+  return rows[0] || null;
+}
 
-    const pick =
-      pickBestDomain(domainsFromStore) ||
-      normalizeDomain(store?.original_domain) ||
-      normalizeDomain(store?.store_domain);
+async function setCatalogState(storeId, fields) {
+  await pool.query(
+    `INSERT INTO catalog_sync (store_id, last_full_sync_at, last_reconciled_at)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (store_id)
+     DO UPDATE SET last_full_sync_at  = COALESCE(EXCLUDED.last_full_sync_at, catalog_sync.last_full_sync_at),
+                   last_reconciled_at = COALESCE(EXCLUDED.last_reconciled_at, catalog_sync.last_reconciled_at)`,
+    [String(storeId), fields.last_full_sync_at || null, fields.last_reconciled_at || null]
+  );
+}
 
-    if (pick && isLikelyHost(pick)) return pick;
-  } catch (_) {}
+async function upsertMirrorProducts(storeId, products) {
+  const list = (products || []).filter((p) => p?.id != null);
+  if (!list.length) return;
+  await pool.query(
+    `INSERT INTO product_mirror (store_id, product_id, data, updated_at, synced_at)
+     SELECT $1, p->>'id', p, NULLIF(p->>'updated_at', '')::timestamptz, NOW()
+       FROM jsonb_array_elements($2::jsonb) AS p
+     ON CONFLICT (store_id, product_id)
+     DO UPDATE SET data = EXCLUDED.data,
+                   updated_at = EXCLUDED.updated_at,
+                   synced_at = NOW()`,
+    [String(storeId), JSON.stringify(list)]
+  );
+}
 
-  return `${storeId}.tiendanube.com`;
+async function deleteMirrorProduct(storeId, productId) {
+  await pool.query('DELETE FROM product_mirror WHERE store_id = $1 AND product_id = $2', [
+    String(storeId),
+    String(productId),
+  ]);
 }
 
-/* =========================
-   Cookies
-   ========================= */
-function parseCookies(cookieHeader) {
-  if (!cookieHeader) return {};
-  return cookieHeader.split(';').reduce((acc, part) => {
-    const [name, ...rest] = part.trim().split('=');
-    acc[name] = decodeURIComponent(rest.join('='));
-    return acc;
-  }, {});
+// Recorre todo el catálogo; lo que no vino (productos borrados) se elimina del mirror
+async function fullSyncMirror(storeId, token) {
+  const sid = String(storeId);
+  // Reloj de la DB (synced_at usa NOW()): con el del servidor, un desfase borraría filas recién sincronizadas
+  const { rows: [{ now: startedAt }] } = await pool.query('SELECT NOW() AS now');
+  let count = 0;
+  await forEachPage(sid, token, '/products', {}, async (products) => {
+    await upsertMirrorProducts(sid, products);
+    count += products.length;
+  });
+  await pool.query('DELETE FROM product_mirror WHERE store_id = $1 AND synced_at < $2', [
+    sid,
+    startedAt,
+  ]);
+  await setCatalogState(sid, { last_full_sync_at: startedAt, last_reconciled_at: startedAt });
+  console.log(`[Mirror] Sync completo store_id=${sid}: ${count} productos`);
+  return count;
+}
+
+// Solo productos modificados desde la última pasada (con 1 minuto de margen)
+async function reconcileMirror(storeId, token, since) {
+  const sid = String(storeId);
+  const startedAt = new Date();
+  const from = new Date(new Date(since).getTime() - 60 * 1000).toISOString();
+  const changed = await fetchAllProducts(sid, token, { updated_at_min: from });
+  await upsertMirrorProducts(sid, changed);
+  await setCatalogState(sid, { last_reconciled_at: startedAt });
+  if (changed.length) console.log(`[Mirror] Reconciliados ${changed.length} productos store_id=${sid}`);
+  return changed.length;
+}
+
+// Sync completo o incremental según corresponda (force: ignora MIRROR_RECONCILE_SECONDS).
+// Devuelve cuántos productos se actualizaron.
+async function syncMirror(storeId, token, { force = false } = {}) {
+  const state = await getCatalogState(storeId);
+  const now = Date.now();
+  const fullDue =
+    !state?.last_full_sync_at ||
+    now - new Date(state.last_full_sync_at).getTime() > MIRROR_FULL_SYNC_DAYS * 86400 * 1000;
+  if (fullDue) return fullSyncMirror(storeId, token);
+
+  const reconcileDue =
+    force ||
+    !state.last_reconciled_at ||
+    now - new Date(state.last_reconciled_at).getTime() > MIRROR_RECONCILE_SECONDS * 1000;
+  if (reconcileDue) return reconcileMirror(storeId, token, state.last_reconciled_at || state.last_full_sync_at);
+  return 0;
+}
+
+// Productos para el feed: desde el mirror si hay DB; si no, directo de la API
+async function getCatalogProducts(storeId, token) {
+  if (!pool) return fetchAllProducts(storeId, token);
+  await syncMirror(storeId, token);
+  const { rows } = await pool.query(
+    'SELECT data FROM product_mirror WHERE store_id = $1 ORDER BY product_id',
+    [String(storeId)]
+  );
+  return rows.map((r) => r.data);
+}
+
+// Recorre el catálogo en tandas de CATALOG_PAGE_SIZE (mirror por keyset si hay DB; si no,
+// páginas de la API). Mismo orden que getCatalogProducts.
+const CATALOG_PAGE_SIZE = 500;
+async function forEachCatalogPage(storeId, token, fn) {
+  if (!pool) return forEachPage(storeId, token, '/products', {}, fn);
+  const sid = String(storeId);
+  await syncMirror(sid, token);
+  let after = '';
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT product_id, data FROM product_mirror
+        WHERE store_id = $1 AND product_id > $2 ORDER BY product_id LIMIT $3`,
+      [sid, after, CATALOG_PAGE_SIZE]
+    );
+    if (rows.length) await fn(rows.map((r) => r.data));
+    if (rows.length < CATALOG_PAGE_SIZE) break;
+    after = rows[rows.length - 1].product_id;
+  }
+}
+
+// Webhook product/created|updated|deleted => actualiza una fila del mirror
+async function handleProductWebhook(storeId, event, productId) {
+  if (!pool || !productId) return;
+  const sid = String(storeId);
+  if (!(await getCatalogState(sid))) return; // sin mirror todavía: lo arma el primer feed
+
+  if (event === 'product/deleted') {
+    await deleteMirrorProduct(sid, productId);
+  } else {
+    const token = await getToken(sid);
+    if (!token) return;
+    try {
+      const product = await tnFetch(sid, token, `/products/${encodeURIComponent(productId)}`);
+      await upsertMirrorProducts(sid, [product]);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      await deleteMirrorProduct(sid, productId);
+    }
+  }
+  await expireFeedCache(sid);
 }
 
 /* =========================
-   Landing + Dashboard
+   Categorías: /categories -> breadcrumbs + taxonomía Google
    ========================= */
-app.get('/', async (req, res) => {
-  const cookies = parseCookies(req.headers.cookie);
-  const sid = req.query.store_id || cookies.store_id;
 
-  if (sid && (await hasToken(sid))) {
-    return res.redirect(`/dashboard?store_id=${sid}`);
+async function fetchAllCategories(storeId, token) {
+  return fetchAllPages(storeId, token, '/categories');
+}
+
+// id -> { id, name, parent, path: ['Ropa', 'Remeras'], ancestors: [id padre, ..., raíz] }
+function buildCategoryIndex(categories, langs = []) {
+  const byId = new Map();
+  for (const c of categories || []) {
+    if (c?.id == null) continue;
+    byId.set(String(c.id), {
+      id: String(c.id),
+      name: normalizeText(getLocalized(c.name, ...langs)),
+      parent: c.parent != null && c.parent !== 0 ? String(c.parent) : null,
+    });
+  }
+  for (const cat of byId.values()) {
+    const crumbs = [cat.name];
+    const ancestors = [];
+    const seen = new Set([cat.id]);
+    let cur = cat.parent ? byId.get(cat.parent) : null;
+    while (cur && !seen.has(cur.id)) {
+      seen.add(cur.id);
+      crumbs.unshift(cur.name);
+      ancestors.push(cur.id);
+      cur = cur.parent ? byId.get(cur.parent) : null;
+    }
+    cat.path = crumbs.filter(Boolean);
+    cat.ancestors = ancestors;
   }
+  return byId;
+}
 
-  const appUrl = process.env.APP_URL || 'https://tn-feed-app.vercel.app';
-  const installUrl = getInstallUrl();
-  res.type('html').send(`<!doctype html>
-<html lang="es">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width,initial-scale=1" />
-  <title>XML Nube by Sacu Partner Tecnológico Tiendanube</title>
-  <style>
-    body { font-family: system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,"Helvetica Neue",Arial; margin: 2rem; color: #222; }
-    .wrap { max-width: 880px; margin: 0 auto; }
-    h1 { font-size: 1.6rem; margin: 0 0 .5rem; font-weight: 700; }
+// Categoría más profunda del producto (la de breadcrumb más largo)
+function pickProductCategory(p, categoryIndex) {
+  if (!categoryIndex) return null;
+  const cats = Array.isArray(p?.categories) ? p.categories : [];
+  let best = null;
+  for (const c of cats) {
+    const cat = categoryIndex.get(String(c?.id ?? c));
+    if (cat && (!best || cat.path.length > best.path.length)) best = cat;
+  }
+  return best;
+}
+
+function productCategoryNames(p, categoryIndex) {
+  if (!categoryIndex) return [];
+  const names = new Set();
+  for (const c of Array.isArray(p?.categories) ? p.categories : []) {
+    const cat = categoryIndex.get(String(c?.id ?? c));
+    if (cat) cat.path.forEach((n) => names.add(n));
+  }
+  return Array.from(names);
+}
+
+// categoryMap (settings.category_map): { tnCategoryId: googleTaxonomyId }, hereda del padre
+function resolveGoogleCategory(cat, categoryMap) {
+  if (!cat || !categoryMap) return null;
+  for (const id of [cat.id, ...cat.ancestors]) {
+    if (categoryMap[id]) return String(categoryMap[id]);
+  }
+  return null;
+}
+
+// Taxonomía de Google: la completa si el build pudo descargarla (scripts/fetch-taxonomy.js),
+// si no el subset incluido en el repo (funciona offline)
+const TAXONOMY_FILES = [
+  path.join(__dirname, 'data', 'google-product-taxonomy.full.txt'),
+  path.join(__dirname, 'data', 'google-product-taxonomy.txt'),
+];
+let googleTaxonomy = null; // [{ id, path }]
+function getGoogleTaxonomy() {
+  if (googleTaxonomy) return googleTaxonomy;
+  googleTaxonomy = [];
+  for (const file of TAXONOMY_FILES) {
+    if (!fs.existsSync(file)) continue;
+    try {
+      googleTaxonomy = fs
+        .readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.match(/^(\d+)\s+-\s+(.+)$/))
+        .filter(Boolean)
+        .map(([, id, p]) => ({ id, path: p.trim() }));
+    } catch (err) {
+      console.warn(`[Taxonomy] No se pudo leer ${path.basename(file)}:`, err.message);
+    }
+    if (googleTaxonomy.length) break;
+  }
+  if (!googleTaxonomy.length) console.warn('[Taxonomy] Sin taxonomía de Google disponible');
+  return googleTaxonomy;
+}
+
+/* =========================
+   Datos de la tienda (/store) + monedas
+   ========================= */
+
+// Cache de /store por tienda (mismo TTL que el feed)
+const storeInfoCache = new Map(); // store_id -> { data, expiresAt }
+async function getStoreInfo(storeId, token) {
+  const sid = String(storeId);
+  const c = storeInfoCache.get(sid);
+  if (c && Date.now() <= c.expiresAt) return c.data;
+  const data = await tnFetch(sid, token, '/store');
+  const ttlMs = Math.max(0, FEED_CACHE_TTL_SECONDS) * 1000;
+  storeInfoCache.set(sid, { data, expiresAt: Date.now() + ttlMs });
+  return data;
+}
+
+// Moneda por país (solo si /store no trae main_currency)
+const COUNTRY_CURRENCY = {
+  AR: 'ARS',
+  BR: 'BRL',
+  MX: 'MXN',
+  CL: 'CLP',
+  CO: 'COP',
+  UY: 'UYU',
+  PE: 'PEN',
+  US: 'USD',
+};
+
+function normalizeCurrency(val) {
+  const code = String((val && typeof val === 'object' ? val.code || val.currency : val) || '')
+    .trim()
+    .toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+// { main: 'BRL', enabled: ['BRL', 'USD'] } — main siempre va primero
+function resolveStoreCurrencies(store) {
+  const main =
+    normalizeCurrency(store?.main_currency) ||
+    COUNTRY_CURRENCY[String(store?.country || '').toUpperCase()] ||
+    'ARS';
+  const list = Array.isArray(store?.currencies) ? store.currencies.map(normalizeCurrency) : [];
+  // Cada idioma activo puede tener su propia moneda ({ pt: { currency: 'BRL', active: true } })
+  if (store?.languages && typeof store.languages === 'object' && !Array.isArray(store.languages)) {
+    for (const cfg of Object.values(store.languages)) {
+      if (cfg && cfg.active !== false) list.push(normalizeCurrency(cfg.currency));
+    }
+  }
+  const enabled = [main, ...list.filter((c) => c && c !== main)];
+  return { main, enabled: Array.from(new Set(enabled)) };
+}
+
+function normalizeLang(val) {
+  const code = String(val || '').trim().toLowerCase().slice(0, 2);
+  return /^[a-z]{2}$/.test(code) ? code : null;
+}
+
+// { main: 'pt', enabled: ['pt', 'es'] } — /store trae languages como array u objeto { es: { active } }
+function resolveStoreLanguages(store) {
+  const main = normalizeLang(store?.main_language) || 'es';
+  let list = [];
+  if (Array.isArray(store?.languages)) {
+    list = store.languages.map((l) => normalizeLang(l?.code ?? l));
+  } else if (store?.languages && typeof store.languages === 'object') {
+    list = Object.entries(store.languages)
+      .filter(([, cfg]) => !cfg || cfg.active !== false)
+      .map(([code]) => normalizeLang(code));
+  }
+  const enabled = [main, ...list.filter((l) => l && l !== main)];
+  return { main, enabled: Array.from(new Set(enabled)) };
+}
+
+/* =========================
+   Dominio público: query -> DOMAINS_MAP -> /domains -> /store -> fallback
+   ========================= */
+async function getPublicDomain(req, storeId, token) {
+  const override = resolveDomainOverrides(req, storeId);
+  if (override) return override;
+
+  // /domains
+  try {
+    const arr = await tnFetch(storeId, token, '/domains');
+    const domains = Array.isArray(arr) ? arr.map((d) => normalizeDomain(d?.domain ?? d)) : [];
+    const pick = pickBestDomain(domains);
+    if (pick) return pick;
+  } catch (_) {}
+
+  // /store
+  try {
+    const store = await getStoreInfo(storeId, token);
+    const domainsFromStore =
+      Array.isArray(store?.domains) ? store.domains : Array.isArray(store?.domain) ? store.domain : null;
+
+    const pick =
+      pickBestDomain(domainsFromStore) ||
+      normalizeDomain(store?.original_domain) ||
+      normalizeDomain(store?.store_domain);
+
+    if (pick && isLikelyHost(pick)) return pick;
+  } catch (_) {}
+
+  return `${storeId}.tiendanube.com`;
+}
+
+/* =========================
+   Cookies
+   ========================= */
+function parseCookies(cookieHeader) {
+  if (!cookieHeader) return {};
+  return cookieHeader.split(';').reduce((acc, part) => {
+    const [name, ...rest] = part.trim().split('=');
+    acc[name] = decodeURIComponent(rest.join('='));
+    return acc;
+  }, {});
+}
+
+/* =========================
+   Sesión del panel (JWT firmado) + state OAuth
+   ========================= */
+
+// El callback OAuth abre una sesión ligada a la tienda; el panel y /settings/* la exigen.
+// En producción JWT_SECRET es obligatorio: con uno aleatorio cada instancia (Vercel) firmaría
+// con otro secreto y las sesiones se invalidarían al azar. En desarrollo se usa uno aleatorio.
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET no configurado (obligatorio en producción)');
+}
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) console.warn('[Auth] JWT_SECRET no configurado: se usa uno aleatorio por instancia');
+
+const SESSION_COOKIE = 'tn_session';
+const SESSION_MAX_AGE_SECONDS = 60 * 60 * 24 * 7; // 7 días
+const OAUTH_STATE_COOKIE = 'tn_oauth_state';
+const OAUTH_STATE_MAX_AGE_SECONDS = 60 * 10;
+
+// SameSite=None: el panel se abre embebido en el admin de Tiendanube
+function cookieHeader(name, value, maxAge) {
+  return `${name}=${encodeURIComponent(value)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=None; Secure`;
+}
+
+function base64urlJson(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+// JWT HS256 mínimo (sin dependencias)
+function signJwt(payload) {
+  const head = base64urlJson({ alg: 'HS256', typ: 'JWT' });
+  const body = base64urlJson(payload);
+  const sig = crypto.createHmac('sha256', JWT_SECRET).update(`${head}.${body}`).digest('base64url');
+  return `${head}.${body}.${sig}`;
+}
+
+function verifyJwt(token) {
+  const [head, body, sig] = String(token || '').split('.');
+  if (!head || !body || !sig) return null;
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${head}.${body}`).digest('base64url');
+  if (!safeEqual(sig, expected)) return null;
+  try {
+    if (JSON.parse(Buffer.from(head, 'base64url').toString()).alg !== 'HS256') return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch (_) {
+    return null;
+  }
+}
+
+// csrf: va en los formularios del panel y se compara con el de la sesión en cada POST
+function sessionCookie(storeId) {
+  const now = Math.floor(Date.now() / 1000);
+  const jwt = signJwt({
+    sub: String(storeId),
+    iat: now,
+    exp: now + SESSION_MAX_AGE_SECONDS,
+    csrf: crypto.randomBytes(16).toString('base64url'),
+  });
+  return cookieHeader(SESSION_COOKIE, jwt, SESSION_MAX_AGE_SECONDS);
+}
+
+function getSession(req) {
+  const payload = verifyJwt(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  return payload ? { store_id: payload.sub, csrf: payload.csrf } : null;
+}
+
+// GET sin sesión (o con ?store_id= de otra tienda) -> OAuth (rutas .json: 401); POST sin sesión o sin csrf -> 401/403
+function requireSession(req, res, next) {
+  const session = getSession(req);
+  if (req.method === 'GET') {
+    const wanted = req.query.store_id;
+    if (!session || (wanted && String(wanted) !== session.store_id)) {
+      if (req.path.endsWith('.json')) return res.status(401).json({ error: 'no session' });
+      return res.redirect('/install');
+    }
+  } else {
+    if (!session) return res.status(401).send('Unauthorized');
+    const csrf = req.body?.csrf || req.headers['x-csrf-token'];
+    if (!csrf || !safeEqual(csrf, session.csrf)) return res.status(403).send('Invalid CSRF token');
+  }
+  req.session = session;
+  next();
+}
+
+/* =========================
+   Landing + Dashboard
+   ========================= */
+app.get('/', async (req, res) => {
+  const session = getSession(req);
+  if (session && (await hasToken(session.store_id))) {
+    return res.redirect('/dashboard');
+  }
+
+  const appUrl = process.env.APP_URL || 'https://tn-feed-app.vercel.app';
+  res.type('html').send(`<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>XML Nube by Sacu Partner Tecnológico Tiendanube</title>
+  <style>
+    body { font-family: system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,"Helvetica Neue",Arial; margin: 2rem; color: #222; }
+    .wrap { max-width: 880px; margin: 0 auto; }
+    h1 { font-size: 1.6rem; margin: 0 0 .5rem; font-weight: 700; }
     p  { line-height: 1.55; color:#444; margin:.35rem 0; }
     .cta { margin-top: 1.25rem; display:inline-block; background:#ff6f3d; color:#fff; text-decoration:none; padding:.70rem 1.15rem; border-radius:28px; box-shadow:0 2px 8px rgba(0,0,0,.12); transition:transform .05s ease, filter .15s ease; }
     .cta:hover { filter: brightness(1.05); } .cta:active { transform: translateY(1px); }
@@ -395,14 +1356,10 @@ app.get('/', async (req, res) => {
 <body>
   <div class="wrap">
     <h1>XML Nube by Sacu Partner Tecnológico Tiendanube</h1>
-    <p>Generá un feed compatible con Google Merchant. Instalá la app y luego accedé a tu enlace <small><code>/feed.xml?store_id=…</code></small>.</p>
-    <a class="cta" href="${installUrl}" target="_top">Instalar en mi tienda</a>
+    <p>Generá un feed compatible con Google Merchant. Instalá la app y luego accedé a tu enlace <small><code>/feed.xml?store_id=…&amp;token=…</code></small>.</p>
+    <a class="cta" href="/install" target="_top">Instalar en mi tienda</a>
     <div class="card">
-      <form action="/dashboard" method="get">
-        <label for="store_id"><strong>Ver mi feed:</strong></label><br/>
-        <input id="store_id" name="store_id" type="text" placeholder="Ingresá tu store_id numérico" required />
-        <button type="submit">Ir al panel</button>
-      </form>
+      <p style="margin:0"><strong>¿Ya la instalaste?</strong> <a href="/install" target="_top">Ingresá al panel con tu cuenta de Tiendanube</a>.</p>
       <p style="margin:.6rem 0 0;color:#555">URL de producción: <code>${appUrl}</code></p>
     </div>
   </div>
@@ -410,15 +1367,53 @@ app.get('/', async (req, res) => {
 </html>`);
 });
 
-app.get('/dashboard', async (req, res) => {
-  const cookies = parseCookies(req.headers.cookie);
-  const store_id = req.query.store_id || cookies.store_id;
-  if (!store_id) return res.redirect('/');
+const WEBHOOK_STATUS_LABELS = {
+  ok: '<span class="badge ok">OK</span>',
+  created: '<span class="badge ok">Creado</span>',
+  updated: '<span class="badge ok">URL actualizada</span>',
+  error: '<span class="badge warn">Error</span>',
+};
+
+const EXCLUSION_LABELS = {
+  unpublished: 'No publicados',
+  no_handle: 'Sin URL pública (handle)',
+  no_price: 'Sin precio',
+  no_image: 'Sin imagen',
+  no_stock: 'Sin stock',
+};
+
+app.get('/dashboard', requireSession, async (req, res) => {
+  const { store_id, csrf } = req.session;
 
   const appUrl = process.env.APP_URL || 'https://tn-feed-app.vercel.app';
-  const feedUrl = `${appUrl}/feed.xml?store_id=${store_id}`;
   const has = await hasToken(store_id);
-  const installUrl = getInstallUrl();
+
+  const feedToken = has ? await getFeedToken(store_id) : null;
+  const feedUrl = has ? feedUrlFor(appUrl, store_id, feedToken) : '';
+  const settings = has ? await getStoreSettings(store_id) : {};
+  const graceActive = settings.feed_token_previous_until && new Date().toISOString() < settings.feed_token_previous_until;
+  const partSize = feedPartSize(settings);
+  const partCount = feedPartCount(settings);
+  const webhooks = settings.webhooks_status || null;
+  const report = settings.feed_report || null; // última generación (de cualquier instancia)
+  const invalidBarcodes = report?.invalid_barcodes || [];
+
+  // Feeds adicionales por moneda / idioma habilitados (si /store responde)
+  let extraCurrencies = [];
+  let extraLangs = [];
+  if (has) {
+    try {
+      const token = await getToken(store_id);
+      const store = await getStoreInfo(store_id, token);
+      // Solo monedas con precios cargados (si no, el feed saldría vacío)
+      const extra = resolveStoreCurrencies(store).enabled.slice(1);
+      const priced = extra.length ? await getCatalogPriceCurrencies(store_id, token) : new Set();
+      extraCurrencies = extra.filter((c) => priced.has(c));
+      extraLangs = resolveStoreLanguages(store).enabled.slice(1);
+    } catch (e) {
+      console.warn('[Dashboard] No se pudieron leer monedas/idiomas de la tienda:', e.message);
+    }
+  }
 
   res.type('html').send(`<!doctype html>
 <html lang="es">
@@ -439,6 +1434,9 @@ app.get('/dashboard', async (req, res) => {
     .muted { color:#666 }
     .box { border:1px solid #e5e7eb; border-radius:.5rem; padding:1rem; margin-top:1rem; background:#fafafa }
     a { color:var(--brand); text-decoration:none }
+    table.pv { width:100%; border-collapse:collapse; font-size:.85rem; margin-top:.5rem }
+    table.pv th, table.pv td { border-bottom:1px solid #e5e7eb; padding:.35rem; text-align:left; vertical-align:top }
+    select { padding:.55rem .6rem; border:1px solid #d1d5db; border-radius:.4rem; }
   </style>
 </head>
 <body>
@@ -456,403 +1454,3393 @@ app.get('/dashboard', async (req, res) => {
           <a class="btn" href="${feedUrl}" target="_blank" style="background:#374151">Abrir</a>
         </div>
         <p class="muted" style="margin-top:.5rem">Este enlace es el que pegás en Google Merchant u otros destinos.</p>
+        <p class="muted" style="margin-top:.75rem">Catálogo Meta (Facebook/Instagram):
+          <a href="${feedUrlFor(appUrl, store_id, feedToken, '/feed/meta.csv')}" target="_blank">CSV</a> ·
+          <a href="${feedUrlFor(appUrl, store_id, feedToken, '/feed/meta.xml')}" target="_blank">XML</a>
+        </p>
+        <p class="muted" style="margin-top:.35rem">Catálogo TikTok:
+          <a href="${feedUrlFor(appUrl, store_id, feedToken, '/feed/tiktok.csv')}" target="_blank">CSV</a>
+        </p>
+        ${extraCurrencies.length ? `
+          <p class="muted" style="margin-top:.75rem">Feeds por moneda:
+            ${extraCurrencies.map((c) => `<a href="${feedUrl}&currency=${c}" target="_blank">${c}</a>`).join(' · ')}
+          </p>
+        ` : ''}
+        ${extraLangs.length ? `
+          <p class="muted" style="margin-top:.35rem">Feeds por idioma:
+            ${extraLangs.map((l) => `<a href="${feedUrl}&lang=${l}" target="_blank">${l}</a>`).join(' · ')}
+          </p>
+        ` : ''}
+        <form method="post" action="/settings/feed-token" style="margin-top:.75rem"
+              onsubmit="return confirm('Se generará un enlace nuevo. El actual dejará de funcionar en ${FEED_TOKEN_GRACE_HOURS} horas. ¿Continuar?')">
+          <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+          <button class="btn" type="submit" style="background:#374151">Regenerar enlace</button>
+          ${graceActive ? `<small class="muted">El enlace anterior sigue funcionando hasta ${xmlEscape(settings.feed_token_previous_until)}.</small>` : ''}
+        </form>
       ` : `
-        <p>Ingresá desde la <a href="/">landing</a> tu <code>store_id</code> o instalá la app.</p>
+        <p>La app no está instalada en esta tienda (o fue desinstalada).</p>
         <p style="margin-top:1rem">
-          <a class="btn" href="${installUrl}" target="_top">Instalar en mi tienda</a>
+          <a class="btn" href="/install" target="_top">Instalar en mi tienda</a>
         </p>
       `}
     </div>
-  </div>
-</body>
-</html>`);
-});
 
-/* =========================
-   OAuth callback (FIX CRÍTICO: usar store_id real)
-   ========================= */
-app.get('/install', (_req, res) => res.redirect(getInstallUrl()));
+    ${has ? `
+    <div class="box">
+      <h3>Feed en partes ${partSize ? `<span class="badge ok">${partCount} ${partCount === 1 ? 'parte' : 'partes'}</span>` : ''}</h3>
+      <p class="muted">Para catálogos que superan los límites de Merchant Center: el feed se divide en archivos
+        de hasta N items. Cada producto (con todas sus variantes) queda siempre en la misma parte.</p>
+      ${partSize ? `
+        <ul>
+          ${feedPartLinks(appUrl, store_id, feedToken, partCount).map((l) => `<li>Parte ${l.part}: <a href="${xmlEscape(l.url)}" target="_blank">XML</a> · <a href="${xmlEscape(l.gz_url)}">.xml.gz</a></li>`).join('')}
+        </ul>
+        <p class="muted">Índice de partes (JSON): <a href="${xmlEscape(`${appUrl}/feeds/${encodeURIComponent(store_id)}/index.json?token=${encodeURIComponent(feedToken)}`)}" target="_blank">index.json</a></p>
+      ` : ''}
+      <form action="/settings/feed-parts" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <label>Máximo de items por parte (vacío = un solo feed):
+          <input type="number" name="feed_part_size" min="${FEED_PART_SIZE_MIN}" step="1" value="${partSize || ''}" style="width:10rem" />
+        </label>
+        <div class="row"><button class="btn" type="submit">Guardar</button></div>
+      </form>
+    </div>
+    ` : ''}
 
-app.get('/oauth/callback', async (req, res) => {
-  const { code } = req.query;
-  if (!code) return res.status(400).send('Missing authorization code');
+    ${invalidBarcodes.length ? `
+    <div class="box">
+      <h3>Códigos de barras inválidos <span class="badge warn">${report.invalid_barcodes_count}</span></h3>
+      <p class="muted">Estos códigos no pasan la validación GTIN-8/12/13/14 y no se envían como <code>g:gtin</code>. Corregilos en Tiendanube.</p>
+      <ul>
+        ${invalidBarcodes.map((b) => `<li><code>${xmlEscape(b.barcode)}</code> — ${xmlEscape(b.title)} <small class="muted">(${xmlEscape(b.item_id)})</small></li>`).join('')}
+      </ul>
+    </div>
+    ` : ''}
 
-  try {
-    const resp = await fetch(getTokenExchangeUrl(), {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        client_id: process.env.TN_CLIENT_ID,
-        client_secret: process.env.TN_CLIENT_SECRET,
-        grant_type: 'authorization_code',
-        code,
-      }),
-    });
+    ${has ? `
+    <div class="box">
+      <h3>Vista previa del feed</h3>
+      <p class="muted">Todos los items tal como salen en el feed (después de exclusiones y reglas).</p>
+      <div class="row">
+        <input id="pv-q" type="text" placeholder="Buscar por título, ID, SKU o marca" onkeydown="if(event.key==='Enter')loadPreview(1)" />
+        <select id="pv-filter" onchange="loadPreview(1)">
+          <option value="">Todos</option>
+          <option value="out_of_stock">Solo sin stock</option>
+          <option value="on_sale">Solo en oferta</option>
+          <option value="missing_brand">Solo sin marca</option>
+        </select>
+        <button class="btn" type="button" onclick="loadPreview(1)">Buscar</button>
+      </div>
+      <div id="pv-out" class="muted" style="margin-top:.5rem"></div>
+      <script>
+        let pvPage = 1;
+        async function loadPreview(page) {
+          const out = document.getElementById('pv-out');
+          out.textContent = 'Cargando…';
+          const qs = new URLSearchParams({
+            page: String(page),
+            q: document.getElementById('pv-q').value,
+            filter: document.getElementById('pv-filter').value,
+          });
+          try {
+            const r = await fetch('/dashboard/items.json?' + qs);
+            const data = await r.json();
+            if (!r.ok) throw new Error(data.error || r.status);
+            pvPage = data.page;
+            const esc = (s) => String(s == null ? '' : s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+            const rows = data.items.map((it) =>
+              '<tr>' +
+              '<td>' + (it.image_link ? '<img src="' + esc(it.image_link) + '" alt="" width="48" height="48" style="object-fit:cover" loading="lazy" />' : '—') + '</td>' +
+              '<td><small>' + esc(it.item_id) + '</small></td>' +
+              '<td><a href="' + esc(it.link) + '" target="_blank">' + esc(it.title) + '</a>' + (it.variant_title ? '<br/><small>' + esc(it.variant_title) + '</small>' : '') + '</td>' +
+              '<td>' + (it.sale_price ? '<s>' + esc(it.price) + '</s> ' + esc(it.sale_price) : esc(it.price)) + ' ' + esc(data.currency) + '</td>' +
+              '<td>' + (it.availability === 'in_stock' ? 'En stock' : 'Sin stock') + '</td>' +
+              '<td>' + (it.brand ? esc(it.brand) : '<span style="color:#b91c1c">—</span>') + '</td>' +
+              '</tr>').join('');
+            out.innerHTML =
+              '<p>' + data.total + ' items · página ' + data.page + ' de ' + data.pages + '</p>' +
+              (data.items.length ? '<table class="pv"><tr><th></th><th>ID</th><th>Título / variante</th><th>Precio</th><th>Disponibilidad</th><th>Marca</th></tr>' + rows + '</table>' : '') +
+              '<div class="row">' +
+              (data.page > 1 ? '<button class="btn" type="button" onclick="loadPreview(pvPage - 1)">Anterior</button>' : '') +
+              (data.page < data.pages ? '<button class="btn" type="button" onclick="loadPreview(pvPage + 1)">Siguiente</button>' : '') +
+              '</div>';
+          } catch (e) {
+            out.textContent = 'Error: ' + e.message;
+          }
+        }
+        loadPreview(1);
+      </script>
+    </div>
 
-    const data = await resp.json().catch(() => ({}));
-    if (!resp.ok) {
-      console.error('[OAuth] Error intercambiando code:', data);
-      return res.status(500).send('Failed to obtain access token');
-    }
+    <div class="box">
+      <h3>Items excluidos</h3>
+      ${report ? `
+        <p class="muted">Última generación (${xmlEscape(report.generated_at)}): ${report.items} items en el feed.</p>
+        <ul>
+          ${EXCLUSION_REASONS.map((r) => `<li>${EXCLUSION_LABELS[r]}: <strong>${report.excluded[r] || 0}</strong></li>`).join('')}
+          <li>Por reglas del feed: <strong>${report.rules_excluded || 0}</strong></li>
+        </ul>
+      ` : '<p class="muted">Todavía no se generó el feed.</p>'}
+      <form action="/settings/exclusions" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <label><input type="checkbox" name="include_unpublished" value="1" ${settings.include_unpublished ? 'checked' : ''} /> Incluir productos no publicados o sin URL pública</label><br/>
+        <label><input type="checkbox" name="exclude_no_image" value="1" ${settings.exclude_no_image ? 'checked' : ''} /> Excluir productos sin imagen</label><br/>
+        <label><input type="checkbox" name="exclude_out_of_stock" value="1" ${settings.exclude_out_of_stock ? 'checked' : ''} /> Excluir productos sin stock</label>
+        <div class="row"><button class="btn" type="submit">Guardar</button></div>
+      </form>
+    </div>
 
-    // FIX: usar store_id (no user_id)
-    const { access_token, store_id } = data;
+    <div class="box">
+      <h3>Categorías de Google</h3>
+      <p class="muted">Cada producto se envía con su categoría de Tiendanube como <code>g:product_type</code>.
+        Asociá tus categorías a la taxonomía de Google para enviar <code>g:google_product_category</code>.</p>
+      <p><a class="btn" href="/dashboard/categories">Mapear categorías</a></p>
+    </div>
 
-    if (!access_token || !store_id) {
-      console.error('[OAuth] Respuesta inválida (missing access_token/store_id):', data);
-      return res.status(500).send('Invalid token response from Tiendanube');
-    }
+    <div class="box">
+      <h3>Overrides por producto</h3>
+      <p class="muted">Título, descripción, marca, condición o custom labels distintos a los de la tienda, solo para el feed.
+        Por producto o por variante, con importación y exportación CSV.</p>
+      <p><a class="btn" href="/dashboard/overrides">Editar overrides</a></p>
+    </div>
 
-    const storeId = String(store_id);
-    await saveToken(storeId, access_token);
+    <div class="box">
+      <h3>Diagnóstico</h3>
+      <p class="muted">Revisá los items antes de que Google los rechace: imágenes faltantes, títulos o descripciones demasiado largos,
+        precios de oferta inválidos, GTIN inválidos, HTML en descripciones, IDs duplicados y links al dominio de respaldo.</p>
+      <p><a class="btn" href="/dashboard/diagnostics">Ver diagnóstico</a>
+        <a href="${feedUrlFor(appUrl, store_id, feedToken, '/feed/diagnostics')}" target="_blank" style="margin-left:.5rem">JSON</a></p>
+    </div>
 
-    const maxAge = 60 * 60 * 24 * 30; // 30 días
-    res.setHeader(
-      'Set-Cookie',
-      `store_id=${storeId}; Path=/; Max-Age=${maxAge}; SameSite=None; Secure`
-    );
+    <div class="box">
+      <h3>Historial del feed</h3>
+      <p class="muted">Cada generación queda guardada ${FEED_HISTORY_DAYS} días. Compará dos generaciones para ver qué items
+        se agregaron o quitaron y cuáles cambiaron de precio, disponibilidad o título.</p>
+      <p><a class="btn" href="/dashboard/history">Ver historial</a>
+        <a href="${feedUrlFor(appUrl, store_id, feedToken, '/feed/history/diff')}" target="_blank" style="margin-left:.5rem">JSON</a></p>
+    </div>
 
-    // Registrar webhook app/uninstalled
-    try {
-      const webhookUrl = `${process.env.APP_URL || 'https://tn-feed-app.vercel.app'}/webhook`;
-      const ua = process.env.TN_USER_AGENT || 'feed-xml-by-sacu (contacto@sacudigital.com)';
-      const whResp = await fetch(`https://api.tiendanube.com/v1/${storeId}/webhooks`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': ua,
-          'Authentication': `bearer ${access_token}`,
-        },
-        body: JSON.stringify({ event: 'app/uninstalled', url: webhookUrl }),
-      });
-      const whData = await whResp.json().catch(() => ({}));
-      if (!whResp.ok) console.error('[Webhook] Error registrando webhook app/uninstalled:', whData);
-      else console.log('[Webhook] app/uninstalled registrado');
-    } catch (whErr) {
-      console.error('[Webhook] Error registrando webhook:', whErr);
-    }
+    <div class="box">
+      <h3>Webhooks ${webhooks ? (webhooks.ok && webhooks.url === webhookUrl() ? '<span class="badge ok">Sincronizados</span>' : '<span class="badge warn">Revisar</span>') : ''}</h3>
+      <p class="muted">Tiendanube avisa a la app cuando cambian productos o se desinstala la app. Se registran en
+        <code>${xmlEscape(webhookUrl())}</code>.</p>
+      ${webhooks ? `
+        <ul>
+          ${WEBHOOK_EVENTS.map((e) => `<li><code>${e}</code>: ${WEBHOOK_STATUS_LABELS[webhooks.events?.[e]] || 'sin verificar'}</li>`).join('')}
+        </ul>
+        <p class="muted">Última verificación: ${xmlEscape(webhooks.checked_at)}${webhooks.deleted ? ` · ${webhooks.deleted} duplicados u obsoletos borrados` : ''}
+          ${webhooks.url !== webhookUrl() ? `<br/>Se verificaron contra <code>${xmlEscape(webhooks.url)}</code>, que ya no es la URL de la app.` : ''}</p>
+        ${webhooks.errors?.length ? `<ul>${webhooks.errors.map((e) => `<li><span class="badge warn">${xmlEscape(e.event)}</span> ${xmlEscape(e.error)}</li>`).join('')}</ul>` : ''}
+      ` : '<p class="muted">Todavía no se verificaron en esta tienda.</p>'}
+      <form action="/settings/webhooks/sync" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <button class="btn" type="submit">Verificar y reparar</button>
+      </form>
+    </div>
 
-    return res.redirect(`/dashboard?store_id=${storeId}`);
-  } catch (err) {
-    console.error('[OAuth] Error callback:', err);
-    return res.status(500).send('Error processing OAuth callback');
-  }
+    <div class="box">
+      <h3>Reglas del feed</h3>
+      <p class="muted">Una regla por línea, se aplican en orden. Condiciones: <code>tag</code>, <code>categoria</code>, <code>precio</code>,
+        <code>stock</code>, <code>marca</code>, <code>publicado</code>, <code>sku</code>, <code>descuento</code>, <code>antiguedad</code>
+        con <code>= != &lt; &lt;= &gt; &gt;= contiene</code>.</p>
+      <pre class="muted" style="font-size:.8rem;margin:.25rem 0">excluir si tag = outlet
+excluir si stock &lt;= 0
+titulo {brand} {name} - {variant}
+agregar_titulo | Envío gratis si precio &gt;= 50000
+agregar_descripcion Cuotas sin interés
+condicion refurbished si tag = reacondicionado</pre>
+      <form id="rules-form" action="/settings/rules" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <textarea name="rules" rows="5" style="width:100%;font-family:monospace">${xmlEscape(formatFeedRules(settings.feed_rules))}</textarea>
+        <div class="row">
+          <button class="btn" type="submit">Guardar</button>
+          <button class="btn" type="button" style="background:#374151" onclick="previewRules()">Probar (dry-run)</button>
+        </div>
+      </form>
+      <div id="rules-preview" class="muted" style="margin-top:.5rem"></div>
+      <script>
+        async function previewRules() {
+          const out = document.getElementById('rules-preview');
+          out.textContent = 'Calculando…';
+          const body = new URLSearchParams(new FormData(document.getElementById('rules-form')));
+          try {
+            const r = await fetch('/feed/rules/preview', { method: 'POST', body });
+            const data = await r.json();
+            if (!r.ok) throw new Error(data.error || r.status);
+            const esc = (s) => String(s).replace(/[&<>]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+            out.innerHTML =
+              '<p>Items: ' + data.items_before + ' → ' + data.items_after + '</p><ul>' +
+              data.rules.map((x) => '<li><code>' + esc(x.rule) + '</code>: ' + x.matched + ' items</li>').join('') +
+              data.errors.map((e) => '<li style="color:#b91c1c"><code>' + esc(e) + '</code>: regla inválida</li>').join('') +
+              '</ul>';
+          } catch (e) {
+            out.textContent = 'Error: ' + e.message;
+          }
+        }
+      </script>
+    </div>
+
+    <div class="box">
+      <h3>Custom labels</h3>
+      <p class="muted">Completan <code>g:custom_label_0</code> a <code>g:custom_label_4</code> para segmentar campañas. Una regla por línea:
+        <code>etiqueta_N valor si condición</code>. Por cada label gana la primera regla que coincide (los overrides por producto tienen prioridad).
+        Además de las condiciones de las reglas del feed: <code>descuento</code> (% de oferta) y <code>antiguedad</code> (días desde que se creó el producto).</p>
+      <pre class="muted" style="font-size:.8rem;margin:.25rem 0">etiqueta_0 gama-alta si precio &gt;= 50000
+etiqueta_0 gama-media si precio &gt;= 15000
+etiqueta_0 gama-baja si precio &lt; 15000
+etiqueta_1 liquidacion si descuento &gt;= 30
+etiqueta_2 poco-stock si stock &lt;= 5
+etiqueta_3 novedad si antiguedad &lt;= 30
+etiqueta_4 invierno si categoria = Abrigos</pre>
+      <form id="labels-form" action="/settings/labels" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <textarea name="rules" rows="5" style="width:100%;font-family:monospace">${xmlEscape(formatFeedRules(settings.label_rules))}</textarea>
+        <div class="row">
+          <button class="btn" type="submit">Guardar</button>
+          <button class="btn" type="button" style="background:#374151" onclick="previewLabels()">Vista previa</button>
+        </div>
+      </form>
+      <div id="labels-preview" class="muted" style="margin-top:.5rem"></div>
+      <script>
+        async function previewLabels() {
+          const out = document.getElementById('labels-preview');
+          out.textContent = 'Calculando…';
+          const body = new URLSearchParams(new FormData(document.getElementById('labels-form')));
+          try {
+            const r = await fetch('/feed/labels/preview', { method: 'POST', body });
+            const data = await r.json();
+            if (!r.ok) throw new Error(data.error || r.status);
+            const esc = (s) => String(s == null ? '' : s).replace(/[&<>]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+            out.innerHTML =
+              '<ul>' +
+              data.rules.map((x) => '<li><code>' + esc(x.rule) + '</code>: ' + x.matched + ' items</li>').join('') +
+              data.errors.map((e) => '<li style="color:#b91c1c"><code>' + esc(e) + '</code>: regla inválida</li>').join('') +
+              '</ul>' +
+              (data.items.length
+                ? '<table class="pv"><tr><th>ID</th><th>Título</th>' + data.labels.map((l) => '<th>' + l + '</th>').join('') + '</tr>' +
+                  data.items.map((it) => '<tr><td><small>' + esc(it.item_id) + '</small></td><td>' + esc(it.title) + '</td>' +
+                    data.labels.map((l) => '<td>' + esc(it[l]) + '</td>').join('') + '</tr>').join('') +
+                  '</table><p>' + data.tagged + ' de ' + data.total + ' items con al menos un label (se muestran ' + data.items.length + ').</p>'
+                : '<p>Ningún item recibe labels.</p>');
+          } catch (e) {
+            out.textContent = 'Error: ' + e.message;
+          }
+        }
+      </script>
+    </div>
+
+    <div class="box">
+      <h3>Atributos de variantes</h3>
+      <p class="muted">Color, Talle/Size, Material, Género y Estampa (y sus equivalentes en pt/en) se detectan solos.
+        Si usás otros nombres, mapealos a <code>${VARIANT_ATTRIBUTE_FIELDS.join('</code>, <code>')}</code>, uno por línea.</p>
+      <form action="/settings/variant-attributes" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <textarea name="mapping" rows="4" style="width:100%;font-family:monospace" placeholder="Tono = color&#10;Numeración = size">${xmlEscape(formatVariantAttributeMap(settings.variant_attributes))}</textarea>
+        <div class="row"><button class="btn" type="submit">Guardar</button></div>
+      </form>
+    </div>
+
+    <div class="box">
+      <h3>Envío (g:shipping)</h3>
+      <p class="muted">Opcional. Una regla por línea: <code>país | servicio | precio [| moneda]</code>. Sin moneda se usa la principal de la tienda.
+        Peso y medidas de cada variante se envían siempre que estén cargados en Tiendanube.</p>
+      <form action="/settings/shipping" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <textarea name="rules" rows="3" style="width:100%;font-family:monospace" placeholder="AR | Envío estándar | 2500">${xmlEscape(formatShippingRules(settings.shipping))}</textarea>
+        <div class="row"><button class="btn" type="submit">Guardar</button></div>
+      </form>
+    </div>
+    ` : ''}
+  </div>
+</body>
+</html>`);
 });
 
-/* =========================
-   Feed: multi-variant + sale_price + cache + métricas
-   ========================= */
+// Items ya procesados por tienda para paginar la vista previa sin recorrer el catálogo en cada página
+const PREVIEW_TTL_MS = 60 * 1000;
+const previewCache = new Map(); // store_id -> { at, feed }
+async function loadPreviewFeed(req, sid, token) {
+  const hit = previewCache.get(sid);
+  if (hit && Date.now() - hit.at < PREVIEW_TTL_MS) return hit.feed;
+  const feed = await loadFeedItems(req, sid, token);
+  previewCache.set(sid, { at: Date.now(), feed });
+  return feed;
+}
 
-// Métricas por tienda (en memoria)
-const storeMetrics = new Map(); // store_id -> metrics
-function getMetrics(storeId) {
-  const sid = String(storeId);
-  if (!storeMetrics.has(sid)) {
-    storeMetrics.set(sid, {
+const PREVIEW_FILTERS = {
+  out_of_stock: (it) => it.availability !== 'in_stock',
+  on_sale: (it) => !!it.sale_price,
+  missing_brand: (it) => !it.brand,
+};
+
+// JSON de la vista previa: ?page=&per_page=&q=&filter=out_of_stock|on_sale|missing_brand
+app.get('/dashboard/items.json', requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  const token = await getToken(sid);
+  if (!token) return res.status(401).json({ error: 'no token' });
+
+  try {
+    const feed = await loadPreviewFeed(req, sid, token);
+    const domain = normalizeDomain(feed.storeDomain) || 'invalid-domain';
+    let rows = feed.items.map((it) => ({
+      item_id: it.item_id,
+      item_group_id: it.item_group_id,
+      title: it.title,
+      variant_title: it.variant_title,
+      sku: it.sku,
+      price: it.price,
+      sale_price: it.sale_price,
+      availability: it.availability,
+      stock: it.stock,
+      brand: itemBrand(sid, it),
+      image_link: it.image_link,
+      link: productLink(domain, it.handleSlug, feed.lang, it.variant_id),
+      custom_labels: CUSTOM_LABEL_FIELDS.map((f) => it[f] || ''),
+    }));
+
+    const filter = PREVIEW_FILTERS[req.query.filter];
+    if (filter) rows = rows.filter(filter);
+    const q = String(req.query.q || '').trim().toLowerCase();
+    if (q) {
+      rows = rows.filter((r) =>
+        [r.item_id, r.title, r.variant_title, r.sku, r.brand].some((v) => String(v || '').toLowerCase().includes(q))
+      );
+    }
+
+    const per_page = Math.min(Math.max(Number(req.query.per_page) || 25, 1), 200);
+    const pages = Math.max(Math.ceil(rows.length / per_page), 1);
+    const page = Math.min(Math.max(Number(req.query.page) || 1, 1), pages);
+    return res.json({
       store_id: sid,
-      feed_requests: 0,
-      feed_cache_hits: 0,
-      feed_304: 0,
-      feed_errors: 0,
-      last_error: null,
-      last_generated_at: null,
-      last_generation_ms: null,
-      last_products_count: null,
-      last_items_count: null,
-      last_domain: null,
-      last_unpublished_excluded: null,
+      currency: feed.currency,
+      total: rows.length,
+      page,
+      per_page,
+      pages,
+      items: rows.slice((page - 1) * per_page, page * per_page),
     });
+  } catch (e) {
+    if (!e.expose) console.error('[Preview] Error:', e);
+    return res.status(e.expose ? e.status : 500).json({ error: e.message });
   }
-  return storeMetrics.get(sid);
+});
+
+app.get('/dashboard/categories', requireSession, async (req, res) => {
+  const { store_id: sid, csrf } = req.session;
+  const token = await getToken(sid);
+  if (!token) return res.redirect('/dashboard');
+
+  let categories = [];
+  try {
+    categories = Array.from(buildCategoryIndex(await fetchAllCategories(sid, token)).values());
+  } catch (e) {
+    console.error('[Dashboard] Error leyendo categorías:', e);
+    return res.status(502).send('No se pudieron leer las categorías de Tiendanube');
+  }
+  categories.sort((a, b) => a.path.join(' > ').localeCompare(b.path.join(' > ')));
+
+  const map = (await getStoreSettings(sid)).category_map || {};
+  const taxonomy = getGoogleTaxonomy();
+  const taxonomyById = new Map(taxonomy.map((t) => [t.id, t.path]));
+
+  res.type('html').send(`<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Categorías — Feed XML</title>
+  <style>
+    :root { --brand:${BRAND_PRIMARY}; --accent:${BRAND_ACCENT}; }
+    body { font-family: system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,"Helvetica Neue",Arial; margin:2rem; color:#222; }
+    .wrap { max-width:880px; margin:0 auto; }
+    table { width:100%; border-collapse:collapse; margin-top:1rem }
+    td, th { text-align:left; padding:.45rem .35rem; border-bottom:1px solid #e5e7eb; vertical-align:top }
+    input[type="text"] { width:100%; padding:.45rem .5rem; border:1px solid #d1d5db; border-radius:.4rem; }
+    .btn { padding:.55rem .8rem; border:0; border-radius:.4rem; background:var(--brand); color:#fff; }
+    .muted { color:#666 }
+    a { color:var(--brand); text-decoration:none }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <p><a href="/dashboard">&larr; Volver al panel</a></p>
+    <h2>Categorías de Google</h2>
+    <p class="muted">Elegí una categoría de la taxonomía de Google (o escribí su ID numérico). Las subcategorías sin mapeo heredan la de su categoría padre.</p>
+    ${categories.length ? `
+    <form action="/settings/categories" method="post">
+      <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+      <table>
+        <tr><th>Categoría Tiendanube</th><th>Categoría Google</th></tr>
+        ${categories.map((c) => {
+          const gid = map[c.id] ? String(map[c.id]) : '';
+          const value = gid ? `${gid}${taxonomyById.has(gid) ? ` - ${taxonomyById.get(gid)}` : ''}` : '';
+          return `<tr>
+          <td>${xmlEscape(c.path.join(' > '))}</td>
+          <td><input type="text" name="cat_${xmlEscape(c.id)}" list="taxonomy" value="${xmlEscape(value)}" /></td>
+        </tr>`;
+        }).join('')}
+      </table>
+      <datalist id="taxonomy">
+        ${taxonomy.map((t) => `<option value="${xmlEscape(`${t.id} - ${t.path}`)}"></option>`).join('')}
+      </datalist>
+      <p><button class="btn" type="submit">Guardar</button></p>
+    </form>
+    ` : '<p>La tienda no tiene categorías.</p>'}
+  </div>
+</body>
+</html>`);
+});
+
+const SEVERITY_LABELS = { error: 'Errores', warning: 'Advertencias' };
+
+app.get('/dashboard/diagnostics', requireSession, async (req, res) => {
+  const { store_id: sid } = req.session;
+  const token = await getToken(sid);
+  if (!token) return res.redirect('/dashboard');
+
+  let report = null;
+  let error = null;
+  try {
+    report = diagnoseFeed(await loadFeedItems(req, sid, token));
+  } catch (e) {
+    console.error('[Diagnóstico] Error:', e);
+    error = e.message;
+  }
+
+  res.type('html').send(`<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Diagnóstico del feed</title>
+  <style>
+    :root { --brand:${BRAND_PRIMARY}; }
+    body { font-family: system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,"Helvetica Neue",Arial; margin:2rem; color:#222; }
+    .wrap { max-width:880px; margin:0 auto; }
+    .muted { color:#666 }
+    .badge { font-size:.78rem; padding:.2rem .45rem; border-radius:.4rem; margin-left:.35rem }
+    .ok { background:#e9f7ef; color:#1b5e20; border:1px solid #c8e6c9 }
+    .warn { background:#fff3cd; color:#7c4a03; border:1px solid #ffecb5 }
+    .err { background:#fdecea; color:#8a1c1c; border:1px solid #f5c2c0 }
+    details { border:1px solid #e5e7eb; border-radius:.4rem; padding:.5rem .75rem; margin:.4rem 0; background:#fafafa }
+    summary { cursor:pointer }
+    li { margin:.2rem 0 }
+    a { color:var(--brand); text-decoration:none }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <p><a href="/dashboard">&larr; Volver al panel</a></p>
+    <h2>Diagnóstico del feed</h2>
+    ${error ? `<p class="err badge">No se pudo analizar el feed: ${xmlEscape(error)}</p>` : `
+    <p class="muted">${report.items_checked} items revisados, ${report.items_with_issues} con problemas.
+      <span class="badge err">${report.summary.error} errores</span>
+      <span class="badge warn">${report.summary.warning} advertencias</span></p>
+    ${report.items_with_issues ? '' : '<p><span class="badge ok">Sin problemas detectados</span></p>'}
+    ${DIAGNOSTIC_SEVERITIES.filter((s) => report.by_severity[s].length).map((s) => `
+      <h3>${SEVERITY_LABELS[s]}</h3>
+      ${report.by_severity[s].map((c) => `
+        <details>
+          <summary><strong>${xmlEscape(c.label)}</strong> <span class="badge ${s === 'error' ? 'err' : 'warn'}">${c.count}</span></summary>
+          <ul>
+            ${c.items.map((it) => `<li>${xmlEscape(it.title)} <small class="muted">(${xmlEscape(it.item_id)})${it.detail ? ` — ${xmlEscape(it.detail)}` : ''}</small></li>`).join('')}
+          </ul>
+          ${c.count > c.items.length ? `<p class="muted">… y ${c.count - c.items.length} más.</p>` : ''}
+        </details>
+      `).join('')}
+    `).join('')}
+    `}
+  </div>
+</body>
+</html>`);
+});
+
+const FEED_FORMAT_LABELS = {
+  google: 'Google',
+  meta_csv: 'Meta CSV',
+  meta_xml: 'Meta XML',
+  tiktok_csv: 'TikTok CSV',
+};
+
+function feedParamsLabel(params = {}) {
+  return [
+    FEED_FORMAT_LABELS[params.format || 'google'] || params.format,
+    params.currency,
+    params.lang,
+    params.part && `parte ${params.part}/${params.parts}`,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+const AVAILABILITY_LABELS = { in_stock: 'En stock', out_of_stock: 'Sin stock' };
+
+app.get('/dashboard/history', requireSession, async (req, res) => {
+  const { store_id: sid } = req.session;
+  if (!(await hasToken(sid))) return res.redirect('/dashboard');
+
+  const all = await listFeedSnapshots(sid);
+  const feeds = new Map(all.map((sn) => [sn.cache_key, sn.params]));
+  const key = req.query.key && feeds.has(String(req.query.key)) ? String(req.query.key) : feedParamsKey(sid, { format: 'google' });
+  const snapshots = all.filter((sn) => sn.cache_key === key);
+
+  let diff = null;
+  let error = null;
+  if (snapshots.length >= 2) {
+    try {
+      diff = await loadFeedDiff(sid, {
+        key,
+        from: req.query.from ? String(req.query.from) : null,
+        to: req.query.to ? String(req.query.to) : null,
+        limit: 200,
+      });
+    } catch (e) {
+      if (!e.expose) console.error('[Historial] Error:', e);
+      error = e.message;
+    }
+  }
+
+  const fmtDate = (iso) => `${iso.replace('T', ' ').slice(0, 19)} UTC`;
+  const fmtValue = (f, v) => (v == null || v === '' ? '—' : f === 'availability' ? AVAILABILITY_LABELS[v] || v : v);
+  const itemList = (list, total) => `
+    <ul>
+      ${list.map((it) => `<li>${xmlEscape(it.title)} <small class="muted">(${xmlEscape(it.item_id)}) — ${xmlEscape(fmtValue('price', it.price))} · ${xmlEscape(fmtValue('availability', it.availability))}</small></li>`).join('')}
+    </ul>
+    ${total > list.length ? `<p class="muted">… y ${total - list.length} más.</p>` : ''}`;
+
+  res.type('html').send(`<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Historial del feed</title>
+  <style>
+    :root { --brand:${BRAND_PRIMARY}; }
+    body { font-family: system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,"Helvetica Neue",Arial; margin:2rem; color:#222; }
+    .wrap { max-width:880px; margin:0 auto; }
+    .muted { color:#666 }
+    .badge { font-size:.78rem; padding:.2rem .45rem; border-radius:.4rem; margin-left:.35rem }
+    .ok { background:#e9f7ef; color:#1b5e20; border:1px solid #c8e6c9 }
+    .warn { background:#fff3cd; color:#7c4a03; border:1px solid #ffecb5 }
+    .err { background:#fdecea; color:#8a1c1c; border:1px solid #f5c2c0 }
+    details { border:1px solid #e5e7eb; border-radius:.4rem; padding:.5rem .75rem; margin:.4rem 0; background:#fafafa }
+    summary { cursor:pointer }
+    table { border-collapse:collapse; width:100%; font-size:.9rem }
+    th, td { text-align:left; padding:.3rem .4rem; border-bottom:1px solid #e5e7eb }
+    li { margin:.2rem 0 }
+    a { color:var(--brand); text-decoration:none }
+    .btn { background:var(--brand); color:#fff; border:0; padding:.5rem .8rem; border-radius:.5rem; cursor:pointer }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <p><a href="/dashboard">&larr; Volver al panel</a></p>
+    <h2>Historial del feed</h2>
+    <p class="muted">Se guarda cada generación que cambió algo, durante ${FEED_HISTORY_DAYS} días (hasta ${FEED_HISTORY_MAX} por feed).</p>
+    ${feeds.size > 1 ? `
+    <form method="get" action="/dashboard/history">
+      <label>Feed:
+        <select name="key" onchange="this.form.submit()">
+          ${Array.from(feeds).map(([k, params]) => `<option value="${xmlEscape(k)}" ${k === key ? 'selected' : ''}>${xmlEscape(feedParamsLabel(params))}</option>`).join('')}
+        </select>
+      </label>
+    </form>` : ''}
+    ${snapshots.length ? `
+    <form method="get" action="/dashboard/history">
+      <input type="hidden" name="key" value="${xmlEscape(key)}" />
+      <table>
+        <tr><th>Desde</th><th>Hasta</th><th>Generado</th><th>Items</th><th>ETag</th></tr>
+        ${snapshots.map((sn) => `<tr>
+          <td><input type="radio" name="from" value="${sn.id}" ${diff && diff.from.id === sn.id ? 'checked' : ''} /></td>
+          <td><input type="radio" name="to" value="${sn.id}" ${diff && diff.to.id === sn.id ? 'checked' : ''} /></td>
+          <td>${xmlEscape(fmtDate(sn.generated_at))}</td>
+          <td>${sn.items_count}</td>
+          <td><small class="muted">${xmlEscape(sn.etag.slice(0, 12))}</small></td>
+        </tr>`).join('')}
+      </table>
+      <p><button class="btn" type="submit">Comparar</button></p>
+    </form>` : '<p class="muted">Todavía no hay generaciones guardadas para este feed.</p>'}
+    ${error ? `<p class="err badge">${xmlEscape(error)}</p>` : ''}
+    ${diff ? `
+    <h3>Cambios entre ${xmlEscape(fmtDate(diff.from.generated_at))} y ${xmlEscape(fmtDate(diff.to.generated_at))}</h3>
+    <p>${diff.from.items_count} → ${diff.to.items_count} items
+      <span class="badge ok">${diff.summary.added} agregados</span>
+      <span class="badge err">${diff.summary.removed} quitados</span>
+      <span class="badge warn">${diff.summary.changed} modificados</span></p>
+    <p class="muted">Precio: ${diff.summary.price} · Disponibilidad: ${diff.summary.availability} · Título: ${diff.summary.title} · Otros campos: ${diff.summary.other}</p>
+    ${diff.summary.removed ? `<details open><summary><strong>Quitados</strong> <span class="badge err">${diff.summary.removed}</span></summary>${itemList(diff.removed, diff.summary.removed)}</details>` : ''}
+    ${diff.summary.added ? `<details><summary><strong>Agregados</strong> <span class="badge ok">${diff.summary.added}</span></summary>${itemList(diff.added, diff.summary.added)}</details>` : ''}
+    ${diff.summary.changed ? `
+    <details><summary><strong>Modificados</strong> <span class="badge warn">${diff.summary.changed}</span></summary>
+      <ul>
+        ${diff.changed.map((c) => `<li>${xmlEscape(c.title)} <small class="muted">(${xmlEscape(c.item_id)})</small>
+          ${Object.keys(c.changes).length ? `<br/><small>${Object.entries(c.changes).map(([f, v]) => `${xmlEscape(f)}: ${xmlEscape(fmtValue(f, v.from))} → ${xmlEscape(fmtValue(f, v.to))}`).join(' · ')}</small>` : '<br/><small class="muted">Otros campos (descripción, imágenes, etiquetas…)</small>'}</li>`).join('')}
+      </ul>
+      ${diff.summary.changed > diff.changed.length ? `<p class="muted">… y ${diff.summary.changed - diff.changed.length} más.</p>` : ''}
+    </details>` : ''}
+    ` : ''}
+  </div>
+</body>
+</html>`);
+});
+
+const OVERRIDE_LABELS = {
+  title: 'Título',
+  description: 'Descripción',
+  brand: 'Marca',
+  condition: 'Condición',
+  custom_label_0: 'custom_label_0',
+  custom_label_1: 'custom_label_1',
+  custom_label_2: 'custom_label_2',
+  custom_label_3: 'custom_label_3',
+  custom_label_4: 'custom_label_4',
+};
+
+app.get('/dashboard/overrides', requireSession, async (req, res) => {
+  const { store_id: sid, csrf } = req.session;
+  if (!(await hasToken(sid))) return res.redirect('/dashboard');
+
+  const overrides = await listProductOverrides(sid);
+  const editing = overrides.find(
+    (o) => overrideKey(o.product_id, o.variant_id) === String(req.query.edit || '')
+  ) || { product_id: '', variant_id: '', fields: {} };
+  const imported = req.query.imported;
+  const skipped = String(req.query.skipped || '').split(',').filter(Boolean);
+
+  res.type('html').send(`<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Overrides por producto</title>
+  <style>
+    :root { --brand:${BRAND_PRIMARY}; }
+    body { font-family: system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,"Helvetica Neue",Arial; margin:2rem; color:#222; }
+    .wrap { max-width:980px; margin:0 auto; }
+    .muted { color:#666 }
+    .box { border:1px solid #e5e7eb; border-radius:.5rem; padding:1rem; margin-top:1rem; background:#fafafa }
+    table { width:100%; border-collapse:collapse; font-size:.85rem }
+    th, td { border-bottom:1px solid #e5e7eb; padding:.35rem; text-align:left; vertical-align:top }
+    input[type="text"], textarea { width:100%; padding:.4rem; border:1px solid #d1d5db; border-radius:.4rem; box-sizing:border-box }
+    .grid { display:grid; grid-template-columns:1fr 1fr; gap:.5rem }
+    .btn { padding:.5rem .8rem; border:0; border-radius:.4rem; background:var(--brand); color:#fff; cursor:pointer }
+    .link { background:none; border:0; color:#b91c1c; cursor:pointer; padding:0 }
+    a { color:var(--brand); text-decoration:none }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <p><a href="/dashboard">&larr; Volver al panel</a></p>
+    <h2>Overrides por producto</h2>
+    <p class="muted">Valores que reemplazan a los de Tiendanube solo en el feed. Dejá <code>variant_id</code> vacío para aplicar a todo el producto;
+      un override de variante gana sobre el del producto. Se aplican antes de las reglas del feed.</p>
+    ${imported !== undefined ? `<p class="box">Importadas ${xmlEscape(imported)} filas.${skipped.length ? ` Filas con errores (omitidas): ${skipped.map(xmlEscape).join(', ')}.` : ''}</p>` : ''}
+
+    <div class="box">
+      <h3>${editing.product_id ? 'Editar' : 'Nuevo'} override</h3>
+      <form action="/settings/overrides" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <div class="grid">
+          <label>product_id<input type="text" name="product_id" value="${xmlEscape(editing.product_id)}" required /></label>
+          <label>variant_id (opcional)<input type="text" name="variant_id" value="${xmlEscape(editing.variant_id)}" /></label>
+          ${OVERRIDE_FIELDS.filter((f) => f !== 'description').map((f) => `
+          <label>${OVERRIDE_LABELS[f]}<input type="text" name="${f}" value="${xmlEscape(editing.fields[f] || '')}"${f === 'condition' ? ` placeholder="${RULE_CONDITIONS_ALLOWED.join(' / ')}"` : ''} /></label>`).join('')}
+        </div>
+        <label>Descripción<textarea name="description" rows="3">${xmlEscape(editing.fields.description || '')}</textarea></label>
+        <p><button class="btn" type="submit">Guardar</button></p>
+      </form>
+    </div>
+
+    <div class="box">
+      <h3>Importar / exportar CSV</h3>
+      <p class="muted">Columnas: <code>${OVERRIDE_CSV_COLUMNS.join(',')}</code>. Una fila sin valores borra el override.
+        <a href="/dashboard/overrides.csv">Descargar CSV actual</a></p>
+      <form id="import-form" action="/settings/overrides/import" method="post">
+        <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+        <input type="file" accept=".csv,text/csv" onchange="readCsv(this)" />
+        <textarea name="csv" rows="5" style="margin-top:.5rem;font-family:monospace" placeholder="product_id,variant_id,title,..."></textarea>
+        <label><input type="checkbox" name="replace" value="1" /> Reemplazar todos los overrides existentes</label>
+        <p><button class="btn" type="submit">Importar</button></p>
+      </form>
+      <script>
+        function readCsv(input) {
+          const file = input.files[0];
+          if (!file) return;
+          const reader = new FileReader();
+          reader.onload = () => { document.querySelector('#import-form textarea').value = reader.result; };
+          reader.readAsText(file);
+        }
+      </script>
+    </div>
+
+    <div class="box">
+      <h3>Overrides (${overrides.length})</h3>
+      ${overrides.length ? `
+      <table>
+        <tr><th>Producto</th><th>Variante</th><th>Campos</th><th></th></tr>
+        ${overrides.map((o) => `<tr>
+          <td>${xmlEscape(o.product_id)}</td>
+          <td>${xmlEscape(o.variant_id || '—')}</td>
+          <td>${Object.entries(o.fields).map(([k, v]) => `<div><strong>${xmlEscape(OVERRIDE_LABELS[k] || k)}:</strong> ${xmlEscape(truncate(v, 80))}</div>`).join('')}</td>
+          <td>
+            <a href="/dashboard/overrides?edit=${encodeURIComponent(overrideKey(o.product_id, o.variant_id))}">Editar</a>
+            <form action="/settings/overrides/delete" method="post" style="display:inline" onsubmit="return confirm('¿Borrar override?')">
+              <input type="hidden" name="csrf" value="${xmlEscape(csrf)}" />
+              <input type="hidden" name="product_id" value="${xmlEscape(o.product_id)}" />
+              <input type="hidden" name="variant_id" value="${xmlEscape(o.variant_id)}" />
+              <button class="link" type="submit">Borrar</button>
+            </form>
+          </td>
+        </tr>`).join('')}
+      </table>
+      ` : '<p class="muted">Todavía no hay overrides.</p>'}
+    </div>
+  </div>
+</body>
+</html>`);
+});
+
+app.get('/dashboard/overrides.csv', requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  const csv = overridesToCsv(await listProductOverrides(sid));
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="overrides-${sid}.csv"`);
+  res.send(csv);
+});
+
+app.post('/settings/overrides', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  const { row, error } = normalizeOverride(req.body);
+  if (error) return res.status(400).send(error);
+  try {
+    await saveProductOverrides(sid, [row]);
+    await invalidateFeedCache(sid);
+  } catch (e) {
+    console.error('[Overrides] Error guardando override:', e);
+    return res.status(500).send('Error guardando overrides');
+  }
+  return res.redirect('/dashboard/overrides');
+});
+
+app.post('/settings/overrides/delete', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  const { row, error } = normalizeOverride({ product_id: req.body.product_id, variant_id: req.body.variant_id });
+  if (error) return res.status(400).send(error);
+  try {
+    await saveProductOverrides(sid, [row]);
+    await invalidateFeedCache(sid);
+  } catch (e) {
+    console.error('[Overrides] Error guardando override:', e);
+    return res.status(500).send('Error guardando overrides');
+  }
+  return res.redirect('/dashboard/overrides');
+});
+
+app.post('/settings/overrides/import', express.urlencoded({ extended: false, limit: '5mb' }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  const { rows, errors } = parseOverridesCsv(req.body.csv);
+  if (errors.length) console.warn(`[Overrides] store_id=${sid}: ${errors.length} filas con errores`, errors.slice(0, 5));
+  try {
+    await saveProductOverrides(sid, rows, { replace: req.body.replace === '1' });
+    await invalidateFeedCache(sid);
+  } catch (e) {
+    console.error('[Overrides] Error importando CSV:', e);
+    return res.status(500).send('Error guardando overrides');
+  }
+  const skipped = errors.slice(0, 20).map((e) => e.line).join(',');
+  return res.redirect(`/dashboard/overrides?imported=${rows.length}${skipped ? `&skipped=${skipped}` : ''}`);
+});
+
+app.post('/settings/categories', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  // cat_<id> = "166 - Apparel & Accessories" o "166"
+  const map = {};
+  for (const [key, val] of Object.entries(req.body || {})) {
+    const m = key.match(/^cat_(\d+)$/);
+    const gid = String(val || '').match(/^\s*(\d+)/);
+    if (m && gid) map[m[1]] = gid[1];
+  }
+
+  await saveStoreSettings(sid, { category_map: map });
+  await invalidateFeedCache(sid);
+  return res.redirect('/dashboard/categories');
+});
+
+app.post('/settings/exclusions', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  await saveStoreSettings(sid, {
+    include_unpublished: req.body.include_unpublished === '1',
+    exclude_no_image: req.body.exclude_no_image === '1',
+    exclude_out_of_stock: req.body.exclude_out_of_stock === '1',
+  });
+  await invalidateFeedCache(sid);
+  return res.redirect('/dashboard');
+});
+
+// Cambiar el límite recalcula las partes con el catálogo actual (puede mover items de parte)
+app.post('/settings/feed-parts', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  const token = await getToken(sid);
+  if (!token) return res.status(401).send('Unauthorized');
+
+  const raw = String(req.body.feed_part_size || '').trim();
+  const size = raw ? Number(raw) : 0;
+  if (raw && !(Number.isInteger(size) && size >= FEED_PART_SIZE_MIN)) {
+    return res.status(400).send(`El máximo de items por parte debe ser un entero >= ${FEED_PART_SIZE_MIN}`);
+  }
+
+  let parts = 1;
+  if (size) {
+    try {
+      const feed = await loadFeedItems(req, sid, token);
+      parts = partsNeeded(countPartBuckets(feed.items), size);
+    } catch (e) {
+      console.error('[Feed] Error calculando partes:', e);
+      return res.status(500).send('Error calculando las partes del feed');
+    }
+  }
+  await saveStoreSettings(sid, { feed_part_size: size, feed_parts: parts });
+  await invalidateFeedCache(sid);
+  return res.redirect('/dashboard');
+});
+
+app.post('/settings/rules', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  // Con alguna línea inválida no se guarda nada: si no, la línea desaparecería sin aviso
+  const { rules, errors } = parseFeedRules(req.body.rules);
+  if (errors.length) {
+    return res
+      .status(400)
+      .type('text')
+      .send(`Reglas inválidas, no se guardaron los cambios. Corregí estas líneas:\n${errors.map((e) => `- ${e}`).join('\n')}`);
+  }
+  await saveStoreSettings(sid, { feed_rules: rules });
+  await invalidateFeedCache(sid);
+  return res.redirect('/dashboard');
+});
+
+// Dry-run: cuántos items afecta cada regla (sin guardar)
+app.post('/feed/rules/preview', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  const token = await getToken(sid);
+  if (!token) return res.status(401).json({ error: 'no token' });
+
+  try {
+    const { rules, errors } = parseFeedRules(req.body.rules);
+    const feed = await loadFeedItems(req, sid, token, { rules });
+    return res.json({
+      store_id: sid,
+      items_before: feed.eligible.length,
+      items_after: feed.items.length,
+      rules: feed.ruleStats,
+      errors,
+    });
+  } catch (e) {
+    console.error('[Rules] Error en dry-run:', e);
+    return res.status(e.expose ? e.status : 500).json({ error: e.message });
+  }
+});
+
+app.post('/settings/labels', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  const { rules } = parseFeedRules(req.body.rules, LABEL_RULE_ACTIONS);
+  await saveStoreSettings(sid, { label_rules: rules });
+  await invalidateFeedCache(sid);
+  return res.redirect('/dashboard');
+});
+
+// Vista previa de custom labels (sin guardar): conteo por regla + items etiquetados
+app.post('/feed/labels/preview', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  const token = await getToken(sid);
+  if (!token) return res.status(401).json({ error: 'no token' });
+
+  try {
+    const { rules, errors } = parseFeedRules(req.body.rules, LABEL_RULE_ACTIONS);
+    const feed = await loadFeedItems(req, sid, token, { labelRules: rules });
+    const tagged = feed.items.filter((it) => CUSTOM_LABEL_FIELDS.some((f) => it[f]));
+    return res.json({
+      store_id: sid,
+      total: feed.items.length,
+      tagged: tagged.length,
+      labels: CUSTOM_LABEL_FIELDS,
+      rules: feed.labelStats,
+      errors,
+      items: tagged.slice(0, 50).map((it) => ({
+        item_id: it.item_id,
+        title: it.title,
+        ...Object.fromEntries(CUSTOM_LABEL_FIELDS.map((f) => [f, it[f] || ''])),
+      })),
+    });
+  } catch (e) {
+    console.error('[Labels] Error en vista previa:', e);
+    return res.status(e.expose ? e.status : 500).json({ error: e.message });
+  }
+});
+
+// Rota el token del feed (el anterior queda en período de gracia)
+app.post('/settings/feed-token', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  await rotateFeedToken(sid);
+  return res.redirect('/dashboard');
+});
+
+app.post('/settings/variant-attributes', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  await saveStoreSettings(sid, { variant_attributes: parseVariantAttributeMap(req.body.mapping) });
+  await invalidateFeedCache(sid);
+  return res.redirect('/dashboard');
+});
+
+app.post('/settings/shipping', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  if (!(await hasToken(sid))) return res.status(401).send('Unauthorized');
+
+  await saveStoreSettings(sid, { shipping: parseShippingRules(req.body.rules) });
+  await invalidateFeedCache(sid);
+  return res.redirect('/dashboard');
+});
+
+/* =========================
+   Webhooks: registro (sincronización idempotente)
+   ========================= */
+const WEBHOOK_EVENTS = ['app/uninstalled', 'product/created', 'product/updated', 'product/deleted'];
+
+function webhookUrl() {
+  return `${process.env.APP_URL || 'https://tn-feed-app.vercel.app'}/webhook`;
+}
+
+// Deja los webhooks de la tienda como tienen que estar: uno por evento apuntando a la URL
+// actual. Crea los que faltan, corrige la URL de los que apuntan a otro host (ej. cambió
+// APP_URL) y borra duplicados y eventos que la app ya no usa. Se puede correr las veces
+// que haga falta. El resultado queda en settings.webhooks_status (panel del dashboard).
+async function syncWebhooks(storeId, token) {
+  const sid = String(storeId);
+  const url = webhookUrl();
+  const status = { checked_at: new Date().toISOString(), url, ok: true, events: {}, deleted: 0, errors: [] };
+  const fail = (event, err) => {
+    status.ok = false;
+    status.errors.push({ event, error: String(err?.message || err) });
+    console.error(`[Webhook] Error sincronizando ${event} store_id=${sid}:`, err?.message || err);
+  };
+
+  let existing;
+  try {
+    existing = await fetchAllPages(sid, token, '/webhooks');
+  } catch (err) {
+    fail('list', err);
+    await saveStoreSettings(sid, { webhooks_status: status });
+    return status;
+  }
+
+  const byEvent = new Map();
+  for (const wh of existing) {
+    if (!byEvent.has(wh.event)) byEvent.set(wh.event, []);
+    byEvent.get(wh.event).push(wh);
+  }
+  const remove = async (wh) => {
+    try {
+      await tnFetch(sid, token, `/webhooks/${wh.id}`, { method: 'DELETE' });
+      status.deleted += 1;
+    } catch (err) {
+      fail(wh.event, err);
+    }
+  };
+
+  for (const event of WEBHOOK_EVENTS) {
+    const hooks = byEvent.get(event) || [];
+    byEvent.delete(event);
+    const keep = hooks.find((wh) => wh.url === url) || hooks[0];
+    try {
+      if (!keep) {
+        await tnFetch(sid, token, '/webhooks', { method: 'POST', body: { event, url } });
+        status.events[event] = 'created';
+      } else if (keep.url !== url) {
+        await tnFetch(sid, token, `/webhooks/${keep.id}`, { method: 'PUT', body: { event, url } });
+        status.events[event] = 'updated';
+      } else {
+        status.events[event] = 'ok';
+      }
+    } catch (err) {
+      status.events[event] = 'error';
+      fail(event, err);
+    }
+    for (const wh of hooks) if (wh !== keep) await remove(wh);
+  }
+  // Eventos que la app ya no registra
+  for (const hooks of byEvent.values()) for (const wh of hooks) await remove(wh);
+
+  const changes = Object.values(status.events).filter((s) => s === 'created' || s === 'updated').length;
+  console.log(
+    `[Webhook] Sync store_id=${sid}: ${changes} creados/actualizados, ${status.deleted} borrados, ${status.errors.length} errores`
+  );
+  await saveStoreSettings(sid, { webhooks_status: status });
+  return status;
+}
+
+app.post('/settings/webhooks/sync', express.urlencoded({ extended: false }), requireSession, async (req, res) => {
+  const sid = req.session.store_id;
+  const token = await getToken(sid);
+  if (!token) return res.status(401).send('Unauthorized');
+
+  await syncWebhooks(sid, token);
+  return res.redirect('/dashboard');
+});
+
+/* =========================
+   OAuth callback (FIX CRÍTICO: usar store_id real)
+   ========================= */
+// state: nonce aleatorio en cookie, verificado en el callback (evita login CSRF)
+app.get('/install', (_req, res) => {
+  const state = crypto.randomBytes(16).toString('base64url');
+  res.setHeader('Set-Cookie', cookieHeader(OAUTH_STATE_COOKIE, state, OAUTH_STATE_MAX_AGE_SECONDS));
+  return res.redirect(getInstallUrl(state));
+});
+
+app.get('/oauth/callback', async (req, res) => {
+  const { code, state } = req.query;
+  if (!code) return res.status(400).send('Missing authorization code');
+
+  // Instalación iniciada desde Tiendanube (sin state): se reinicia desde /install para tener uno
+  const expectedState = parseCookies(req.headers.cookie)[OAUTH_STATE_COOKIE];
+  if (!state && !expectedState) return res.redirect('/install');
+  if (!state || !expectedState || !safeEqual(state, expectedState)) {
+    console.warn('[OAuth] state inválido en callback');
+    return res.status(403).send('Invalid OAuth state');
+  }
+
+  try {
+    const resp = await fetch(getTokenExchangeUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client_id: process.env.TN_CLIENT_ID,
+        client_secret: process.env.TN_CLIENT_SECRET,
+        grant_type: 'authorization_code',
+        code,
+      }),
+    });
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.error('[OAuth] Error intercambiando code:', data);
+      return res.status(500).send('Failed to obtain access token');
+    }
+
+    // FIX: usar store_id (no user_id)
+    const { access_token, store_id } = data;
+
+    if (!access_token || !store_id) {
+      console.error('[OAuth] Respuesta inválida (missing access_token/store_id):', data);
+      return res.status(500).send('Invalid token response from Tiendanube');
+    }
+
+    const storeId = String(store_id);
+    await saveToken(storeId, access_token);
+    await getFeedToken(storeId);
+
+    res.setHeader('Set-Cookie', [
+      sessionCookie(storeId),
+      cookieHeader(OAUTH_STATE_COOKIE, '', 0),
+    ]);
+
+    // Webhooks (desinstalación + cambios de productos para el mirror); en una reinstalación
+    // corrige los existentes en vez de duplicarlos
+    await syncWebhooks(storeId, access_token);
+
+    return res.redirect('/dashboard');
+  } catch (err) {
+    console.error('[OAuth] Error callback:', err);
+    return res.status(500).send('Error processing OAuth callback');
+  }
+});
+
+/* =========================
+   Token del feed (URL revocable)
+   ========================= */
+
+// Las URLs del feed llevan ?token= (aleatorio, guardado en los settings de la tienda).
+// Al rotarlo, el anterior sigue valiendo FEED_TOKEN_GRACE_HOURS para no cortar los fetch
+// programados de Merchant; lo mismo las URLs viejas sin token, desde que se creó el primero.
+const FEED_TOKEN_GRACE_HOURS = Number(process.env.FEED_TOKEN_GRACE_HOURS || '168'); // 7 días
+
+function newFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function graceUntil() {
+  return new Date(Date.now() + FEED_TOKEN_GRACE_HOURS * 3600 * 1000).toISOString();
+}
+
+// Comparación en tiempo constante (hashea ambos lados para igualar longitudes)
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+async function getFeedToken(storeId) {
+  const settings = await getStoreSettings(storeId);
+  if (settings.feed_token) return settings.feed_token;
+  const feed_token = newFeedToken();
+  await saveStoreSettings(storeId, { feed_token });
+  return feed_token;
+}
+
+// Migración única: las tiendas instaladas antes de los tokens reciben uno y un período de
+// gracia para sus URLs viejas sin token. Las instalaciones nuevas nunca lo tienen.
+// La marca en app_migrations se escribe al final: si falla a mitad se reintenta en el próximo
+// arranque, y el UPDATE condicionado no pisa tokens ya creados.
+async function migrateLegacyFeedTokens() {
+  if (!pool) return;
+  const done = await pool.query("SELECT 1 FROM app_migrations WHERE name = 'legacy_feed_tokens'");
+  if (done.rows.length) return;
+  const { rows } = await pool.query(
+    `SELECT t.store_id FROM tokens t
+       LEFT JOIN store_settings s ON s.store_id = t.store_id
+      WHERE s.settings->>'feed_token' IS NULL`
+  );
+  for (const { store_id } of rows) {
+    await pool.query(
+      `INSERT INTO store_settings (store_id, settings, updated_at)
+       VALUES ($1, $2::jsonb, NOW())
+       ON CONFLICT (store_id)
+       DO UPDATE SET settings   = store_settings.settings || EXCLUDED.settings,
+                     updated_at = NOW()
+       WHERE store_settings.settings->>'feed_token' IS NULL`,
+      [store_id, JSON.stringify({ feed_token: newFeedToken(), feed_token_legacy_until: graceUntil() })]
+    );
+  }
+  await pool.query("INSERT INTO app_migrations (name) VALUES ('legacy_feed_tokens') ON CONFLICT (name) DO NOTHING");
+  if (rows.length) console.log(`[Feed] ${rows.length} tiendas existentes con URLs sin token en período de gracia`);
+}
+
+async function rotateFeedToken(storeId) {
+  const previous = await getFeedToken(storeId);
+  const feed_token = newFeedToken();
+  await saveStoreSettings(storeId, {
+    feed_token,
+    feed_token_previous: previous,
+    feed_token_previous_until: graceUntil(),
+  });
+  return feed_token;
+}
+
+// => 'current' | 'previous' | 'legacy' (aceptado en período de gracia) | null
+// Solo lee: nunca crea el token (lo crean el callback de OAuth y el dashboard).
+async function checkFeedToken(storeId, token) {
+  const settings = await getStoreSettings(storeId);
+  const current = settings.feed_token;
+  const now = new Date().toISOString();
+  if (token) {
+    if (current && safeEqual(token, current)) return 'current';
+    if (settings.feed_token_previous && now < settings.feed_token_previous_until
+      && safeEqual(token, settings.feed_token_previous)) return 'previous';
+    return null;
+  }
+  return settings.feed_token_legacy_until && now < settings.feed_token_legacy_until ? 'legacy' : null;
+}
+
+function feedUrlFor(appUrl, storeId, feedToken, path = '/feed.xml') {
+  return `${appUrl}${path}?store_id=${encodeURIComponent(storeId)}&token=${encodeURIComponent(feedToken)}`;
+}
+
+/* =========================
+   Feed: multi-variant + sale_price + cache + métricas
+   ========================= */
+
+// Métricas por tienda (en memoria)
+const storeMetrics = new Map(); // store_id -> metrics
+function getMetrics(storeId) {
+  const sid = String(storeId);
+  if (!storeMetrics.has(sid)) {
+    storeMetrics.set(sid, {
+      store_id: sid,
+      feed_requests: 0,
+      feed_cache_hits: 0,
+      feed_304: 0,
+      feed_stale_served: 0,
+      feed_background_refreshes: 0,
+      feed_errors: 0,
+      feed_unauthorized: 0,
+      feed_token_grace_hits: 0, // token anterior o URL sin token aceptados
+      api_requests: 0,
+      api_retries: 0,
+      last_error: null,
+      last_generated_at: null,
+      last_generation_ms: null,
+      last_products_count: null,
+      last_items_count: null,
+      last_domain: null,
+      last_unpublished_excluded: null,
+      last_rules_excluded: null,
+      last_excluded: null, // { unpublished, no_handle, no_price, no_image, no_stock }
+      last_invalid_barcodes_count: null,
+      last_invalid_barcodes: [], // [{ item_id, title, barcode }] (primeros 50)
+    });
+  }
+  return storeMetrics.get(sid);
+}
+
+// Cache por tienda (+ variante del feed, ej. moneda): memoria (L1) + Postgres (L2, compartido
+// entre instancias). Pasado expiresAt el feed queda "stale": se sirve igual mientras se
+// regenera en background, hasta staleUntil.
+const feedCache = new Map(); // key -> { key, store_id, params, gz, etag, generatedAt, expiresAt, staleUntil }
+function feedCacheKey(storeId, ...parts) {
+  return [String(storeId), ...parts.filter(Boolean)].join('|');
+}
+// params = { format, currency, lang, part, parts } (lo necesario para regenerar el feed)
+function feedParamsKey(storeId, params = {}) {
+  return feedCacheKey(
+    storeId,
+    params.format && params.format !== 'google' && params.format,
+    params.currency,
+    params.lang && `lang:${params.lang}`,
+    params.part && `part:${params.part}/${params.parts}`
+  );
+}
+
+function isFresh(entry) {
+  return !!entry && Date.now() <= entry.expiresAt;
+}
+
+async function getCached(key) {
+  const mem = feedCache.get(key);
+  if (mem && Date.now() <= mem.staleUntil) return mem;
+  if (mem) feedCache.delete(key);
+  if (!pool) return null;
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT cache_key, store_id, params, body_gz, etag, generated_at, expires_at, stale_until
+         FROM feed_cache WHERE cache_key = $1 AND stale_until > NOW() LIMIT 1`,
+      [key]
+    );
+    if (!rows.length) return null;
+    const r = rows[0];
+    const entry = {
+      key: r.cache_key,
+      store_id: r.store_id,
+      params: r.params || {},
+      gz: r.body_gz,
+      etag: r.etag,
+      generatedAt: new Date(r.generated_at).getTime(),
+      expiresAt: new Date(r.expires_at).getTime(),
+      staleUntil: new Date(r.stale_until).getTime(),
+    };
+    feedCache.set(key, entry);
+    return entry;
+  } catch (err) {
+    console.error('[DB] ERROR leyendo feed_cache:', err);
+    return null;
+  }
+}
+
+// body = { gz, etag } (ver cacheBody / streamFeed)
+async function setCached(key, storeId, params, { gz, etag }) {
+  const now = Date.now();
+  const entry = {
+    key,
+    store_id: String(storeId),
+    params,
+    gz,
+    etag,
+    generatedAt: now,
+    expiresAt: now + Math.max(0, FEED_CACHE_TTL_SECONDS) * 1000,
+    staleUntil: now + Math.max(FEED_CACHE_TTL_SECONDS, FEED_CACHE_STALE_SECONDS) * 1000,
+  };
+  feedCache.set(key, entry);
+  if (!pool) return entry;
+
+  try {
+    await pool.query(
+      `INSERT INTO feed_cache (cache_key, store_id, params, body_gz, etag, generated_at, expires_at, stale_until, refreshing_until)
+       VALUES ($1, $2, $3::jsonb, $4, $5, to_timestamp($6 / 1000.0), to_timestamp($7 / 1000.0), to_timestamp($8 / 1000.0), NULL)
+       ON CONFLICT (cache_key)
+       DO UPDATE SET params = EXCLUDED.params,
+                     body_gz = EXCLUDED.body_gz,
+                     etag = EXCLUDED.etag,
+                     generated_at = EXCLUDED.generated_at,
+                     expires_at = EXCLUDED.expires_at,
+                     stale_until = EXCLUDED.stale_until,
+                     refreshing_until = NULL`,
+      [
+        key,
+        entry.store_id,
+        JSON.stringify(params || {}),
+        gz,
+        etag,
+        entry.generatedAt,
+        entry.expiresAt,
+        entry.staleUntil,
+      ]
+    );
+  } catch (err) {
+    console.error('[DB] ERROR guardando feed_cache:', err);
+  }
+  return entry;
+}
+
+// Reserva la regeneración de una key entre instancias (false si otra ya la está haciendo)
+async function claimFeedRefresh(key) {
+  if (!pool) return true;
+  try {
+    const { rows } = await pool.query(
+      `UPDATE feed_cache SET refreshing_until = NOW() + INTERVAL '5 minutes'
+        WHERE cache_key = $1 AND (refreshing_until IS NULL OR refreshing_until < NOW())
+        RETURNING cache_key`,
+      [key]
+    );
+    return rows.length > 0;
+  } catch (err) {
+    console.error('[DB] ERROR reservando refresh de feed_cache:', err);
+    return true;
+  }
+}
+
+// Borra todas las variantes cacheadas de una tienda (ej. al cambiar settings)
+async function invalidateFeedCache(storeId) {
+  const sid = String(storeId);
+  for (const [key, c] of feedCache) {
+    if (c.store_id === sid) feedCache.delete(key);
+  }
+  previewCache.delete(sid);
+  if (!pool) return;
+  try {
+    await pool.query('DELETE FROM feed_cache WHERE store_id = $1', [sid]);
+  } catch (err) {
+    console.error('[DB] ERROR invalidando feed_cache:', err);
+  }
+}
+
+// Marca como stale (sin borrar) los feeds de una tienda: se siguen sirviendo mientras se regeneran
+async function expireFeedCache(storeId) {
+  const sid = String(storeId);
+  for (const c of feedCache.values()) {
+    if (c.store_id === sid) c.expiresAt = Math.min(c.expiresAt, Date.now() - 1);
+  }
+  if (!pool) return;
+  try {
+    await pool.query(
+      'UPDATE feed_cache SET expires_at = LEAST(expires_at, NOW()) WHERE store_id = $1',
+      [sid]
+    );
+  } catch (err) {
+    console.error('[DB] ERROR expirando feed_cache:', err);
+  }
+}
+
+// Feeds conocidos de una tienda (los que alguien pidió alguna vez), para pre-generar
+async function listCachedFeedParams(storeId) {
+  const sid = String(storeId);
+  const out = new Map();
+  for (const c of feedCache.values()) {
+    if (c.store_id === sid) out.set(c.key, c.params || {});
+  }
+  if (pool) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT cache_key, params FROM feed_cache WHERE store_id = $1',
+        [sid]
+      );
+      for (const r of rows) out.set(r.cache_key, r.params || {});
+    } catch (err) {
+      console.error('[DB] ERROR listando feed_cache:', err);
+    }
+  }
+  return Array.from(out.values());
+}
+
+function toMoney(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return n.toFixed(2);
+}
+
+// Precio de la variante en una moneda: la principal usa price/promotional_price;
+// las demás solo si Tiendanube trae precio propio para esa moneda (v.prices).
+function variantPrices(v, currency, mainCurrency) {
+  if (!currency || currency === mainCurrency) {
+    return { price: v?.price, promotional_price: v?.promotional_price };
+  }
+  const prices = v?.prices;
+  let hit = null;
+  if (Array.isArray(prices)) {
+    hit = prices.find((pr) => normalizeCurrency(pr?.currency) === currency) || null;
+  } else if (prices && typeof prices === 'object') {
+    hit = prices[currency] ?? prices[currency.toLowerCase()] ?? null;
+    if (hit !== null && typeof hit !== 'object') hit = { price: hit };
+  }
+  if (!hit) return { price: null, promotional_price: null };
+  return { price: hit.price, promotional_price: hit.promotional_price };
+}
+
+function normalizeText(s) {
+  return String(s || '').trim();
+}
+
+// Monedas con precio propio en el catálogo (variant.prices). Una moneda habilitada en la tienda
+// pero sin precios cargados daría un feed sin items (todos no_price). Cache con el TTL del feed.
+const pricedCurrenciesCache = new Map(); // store_id -> { data: Set, expiresAt }
+async function getCatalogPriceCurrencies(storeId, token) {
+  const sid = String(storeId);
+  const c = pricedCurrenciesCache.get(sid);
+  if (c && Date.now() <= c.expiresAt) return c.data;
+  const found = new Set();
+  await forEachCatalogPage(sid, token, async (products) => {
+    for (const p of products) {
+      for (const v of p?.variants || []) {
+        const prices = v?.prices;
+        const list = Array.isArray(prices)
+          ? prices.filter((pr) => pr?.price != null).map((pr) => pr.currency)
+          : Object.keys(prices && typeof prices === 'object' ? prices : {}).filter((k) => prices[k] != null);
+        for (const cur of list) if (normalizeCurrency(cur)) found.add(normalizeCurrency(cur));
+      }
+    }
+  });
+  const ttlMs = Math.max(0, FEED_CACHE_TTL_SECONDS) * 1000;
+  pricedCurrenciesCache.set(sid, { data: found, expiresAt: Date.now() + ttlMs });
+  return found;
+}
+
+function chooseImage(p, v) {
+  const imgs = Array.isArray(p?.images) ? p.images : [];
+  if (v && v.image_id && imgs.length) {
+    const hit = imgs.find((im) => String(im.id) === String(v.image_id));
+    if (hit) return hit.src || hit.url || '';
+  }
+  if (imgs.length) return imgs[0].src || imgs[0].url || '';
+  return '';
+}
+
+/* =========================
+   Atributos de variantes: values[i] <-> attributes[i]
+   ========================= */
+
+// Nombre de atributo (normalizado) -> campo Google
+const VARIANT_ATTRIBUTE_ALIASES = {
+  color: ['color', 'colour', 'cor', 'colores'],
+  size: ['talle', 'talla', 'tamano', 'tamanho', 'size', 'medida', 'numero'],
+  material: ['material', 'materiales', 'tela'],
+  gender: ['genero', 'gender', 'sexo'],
+  pattern: ['estampa', 'estampado', 'diseno', 'pattern', 'padrao', 'estampa/diseno'],
+};
+const VARIANT_ATTRIBUTE_FIELDS = Object.keys(VARIANT_ATTRIBUTE_ALIASES);
+
+const GENDER_VALUES = {
+  male: ['hombre', 'masculino', 'varon', 'male', 'men', 'homem'],
+  female: ['mujer', 'femenino', 'dama', 'female', 'women', 'mulher', 'feminino'],
+  unisex: ['unisex', 'unissex'],
+};
+
+function attributeKey(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+function normalizeGender(val) {
+  const k = attributeKey(val);
+  return Object.keys(GENDER_VALUES).find((g) => GENDER_VALUES[g].includes(k)) || null;
+}
+
+// customMap (settings.variant_attributes): { 'estampa': 'pattern' } — pisa los alias
+function mapVariantAttributes(p, v, langs = [], customMap = {}) {
+  const attrs = Array.isArray(p?.attributes) ? p.attributes : [];
+  const values = Array.isArray(v?.values) ? v.values : [];
+  const out = {};
+  attrs.forEach((attr, i) => {
+    const key = attributeKey(getLocalized(attr, ...langs));
+    const field =
+      customMap[key] ||
+      VARIANT_ATTRIBUTE_FIELDS.find((f) => VARIANT_ATTRIBUTE_ALIASES[f].includes(key));
+    const value = normalizeText(getLocalized(values[i], ...langs));
+    if (!field || !value || out[field]) return;
+    if (field === 'gender') {
+      const g = normalizeGender(value);
+      if (g) out.gender = g;
+      return;
+    }
+    out[field] = value;
+  });
+  return out;
+}
+
+// Texto "Nombre = campo" por línea <-> { nombre: campo }
+function parseVariantAttributeMap(text) {
+  const map = {};
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const [name, field] = line.split('=').map((x) => attributeKey(x));
+    if (name && VARIANT_ATTRIBUTE_FIELDS.includes(field)) map[name] = field;
+  }
+  return map;
+}
+function formatVariantAttributeMap(map) {
+  return Object.entries(map || {})
+    .map(([name, field]) => `${name} = ${field}`)
+    .join('\n');
+}
+
+/* =========================
+   Identificadores: GTIN (checksum) / MPN
+   ========================= */
+
+// GTIN-8/12/13/14 con dígito verificador (mod 10)
+function isValidGtin(code) {
+  if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+  if (/^0+$/.test(code)) return false;
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+// { gtin, invalid_barcode } desde v.barcode (ignora espacios y guiones)
+function resolveGtin(v) {
+  const raw = normalizeText(v?.barcode);
+  if (!raw) return { gtin: null, invalid_barcode: null };
+  const code = raw.replace(/[\s-]/g, '');
+  return isValidGtin(code) ? { gtin: code, invalid_barcode: null } : { gtin: null, invalid_barcode: raw };
+}
+
+// Resto de imágenes del producto (sin la principal, que ya es la de la variante),
+// para additional_image_link. Google acepta hasta 10.
+const MAX_ADDITIONAL_IMAGES = 10;
+function additionalImageLinks(p, mainImage, max = MAX_ADDITIONAL_IMAGES) {
+  const imgs = Array.isArray(p?.images) ? p.images : [];
+  return imgs
+    .map((im) => im?.src || im?.url || '')
+    .filter((src) => src && src !== mainImage)
+    .slice(0, max);
+}
+
+/* =========================
+   Envío: peso y dimensiones (Tiendanube: kg / cm)
+   ========================= */
+
+function toMeasure(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return String(Number(n.toFixed(3)));
+}
+
+// { weight: '0.5 kg', length: '30 cm', width: '20 cm', height: '5 cm' } (solo los que existen)
+function variantShipping(v) {
+  const out = {};
+  const weight = toMeasure(v?.weight);
+  if (weight) out.weight = `${weight} kg`;
+  const dims = { length: v?.depth, width: v?.width, height: v?.height };
+  for (const [key, val] of Object.entries(dims)) {
+    const m = toMeasure(val);
+    if (m) out[key] = `${m} cm`;
+  }
+  return out;
+}
+
+// Texto "AR | Estándar | 1500 [| ARS]" por línea <-> [{ country, service, price, currency }]
+function parseShippingRules(text) {
+  const rules = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const [country, service, price, currency] = line.split('|').map((x) => normalizeText(x));
+    const cc = String(country || '').toUpperCase();
+    const amount = toMoney(price);
+    if (!/^[A-Z]{2}$/.test(cc) || amount === null) continue;
+    rules.push({ country: cc, service: service || '', price: amount, currency: normalizeCurrency(currency) });
+  }
+  return rules;
+}
+function formatShippingRules(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .map((r) => [r.country, r.service, r.price, r.currency].filter(Boolean).join(' | '))
+    .join('\n');
+}
+
+// Handle público usable en la URL del producto (slug de Tiendanube)
+function isValidHandle(handle) {
+  return /^[\p{L}\p{N}][\p{L}\p{N}_.%-]*$/u.test(String(handle || ''));
+}
+
+/* =========================
+   Exclusiones: publicación, precio, imagen, stock
+   ========================= */
+
+const EXCLUSION_REASONS = ['unpublished', 'no_handle', 'no_price', 'no_image', 'no_stock'];
+
+// settings.include_unpublished: incluye no publicados / sin handle (por defecto se excluyen)
+// settings.exclude_no_image / settings.exclude_out_of_stock: opcionales (por defecto se incluyen)
+// => { items, excluded: { unpublished, no_handle, no_price, no_image, no_stock } }
+function applyExclusions(items, settings = {}) {
+  const excluded = Object.fromEntries(EXCLUSION_REASONS.map((r) => [r, 0]));
+  const out = [];
+  for (const it of items) {
+    let reason = null;
+    if (!settings.include_unpublished && it.published === false) reason = 'unpublished';
+    else if (!settings.include_unpublished && it.handle_valid === false) reason = 'no_handle';
+    else if (!it.price) reason = 'no_price';
+    else if (settings.exclude_no_image && !it.image_link) reason = 'no_image';
+    else if (settings.exclude_out_of_stock && it.availability !== 'in_stock') reason = 'no_stock';
+
+    if (reason) excluded[reason] += 1;
+    else out.push(it);
+  }
+  return { items: out, excluded };
+}
+
+// Devuelve items ya “aplanados” según modo de variantes
+// opts.currency / opts.mainCurrency: moneda del feed (precios por moneda)
+// opts.lang / opts.mainLang: idioma de name/description/handle
+// opts.attributeMap: mapeo propio de atributos de variantes (settings por tienda)
+// opts.categoryIndex / opts.categoryMap: product_type + google_product_category
+function flattenItems(products, opts = {}) {
+  const items = [];
+  const langs = [opts.lang, opts.mainLang];
+  for (const p of products) {
+    const category = pickProductCategory(p, opts.categoryIndex);
+    const categoryFields = {
+      product_type: category ? category.path.join(' > ') : null,
+      google_product_category: resolveGoogleCategory(category, opts.categoryMap),
+      // Todas las categorías del producto (con sus padres), para reglas
+      category_names: productCategoryNames(p, opts.categoryIndex),
+    };
+    const productId = p?.id != null ? String(p.id) : normalizeText(getLocalized(p?.handle, ...langs));
+    const titleBase = normalizeText(getLocalized(p?.name, ...langs));
+    const descBase = normalizeText(getLocalized(p?.description, ...langs)) || titleBase;
+    const handle = normalizeText(getLocalized(p?.handle, ...langs));
+    const handleSlug = handle || productId;
+    const publication = {
+      published: p?.published !== false,
+      handle_valid: isValidHandle(handle),
+    };
+
+    const variants = Array.isArray(p?.variants) ? p.variants : [];
+    if (!variants.length) {
+      items.push({
+        item_id: productId,
+        item_group_id: null,
+        variant_id: null,
+        attributes: {},
+        gtin: null,
+        invalid_barcode: null,
+        sku: null,
+        stock: 0,
+        condition: 'new',
+        product_title: titleBase,
+        variant_title: '',
+        title: titleBase,
+        description: descBase,
+        handleSlug,
+        image_link: chooseImage(p, null),
+        additional_image_links: additionalImageLinks(p, chooseImage(p, null)),
+        shipping: {},
+        ...categoryFields,
+        ...publication,
+        price: null,
+        sale_price: null,
+        availability: 'out_of_stock',
+        rawProduct: p,
+        rawVariant: null,
+      });
+      continue;
+    }
+
+    if (VARIANT_MODE === 'first') {
+      const v = variants[0];
+      items.push(
+        buildItemFromVariant(p, v, productId, titleBase, descBase, handleSlug, {
+          ...opts,
+          categoryFields,
+          publication,
+        })
+      );
+    } else {
+      // split: 1 item por variante (recomendado para Merchant), agrupados por producto
+      const group = variants.length > 1 ? productId : null;
+      for (const v of variants) {
+        items.push(
+          buildItemFromVariant(p, v, productId, titleBase, descBase, handleSlug, {
+            ...opts,
+            group,
+            categoryFields,
+            publication,
+          })
+        );
+      }
+    }
+  }
+  return items;
+}
+
+function buildItemFromVariant(p, v, productId, titleBase, descBase, handleSlug, opts = {}) {
+  const variantId = v?.id != null ? String(v.id) : '';
+  const item_id = variantId ? `${productId}-${variantId}` : productId;
+
+  // Tiendanube no trae name en variantes: usamos sus values ("Rojo / M")
+  const variantValues = (Array.isArray(v?.values) ? v.values : [])
+    .map((val) => normalizeText(getLocalized(val, opts.lang, opts.mainLang)))
+    .filter(Boolean)
+    .join(' / ');
+  const variantName = normalizeText(getLocalized(v?.name, opts.lang, opts.mainLang)) || variantValues;
+  const title =
+    variantName && variantName.toLowerCase() !== 'default'
+      ? `${titleBase} - ${variantName}`
+      : titleBase;
+
+  const prices = variantPrices(v, opts.currency, opts.mainCurrency);
+  const regular = toMoney(prices.price);
+  const promo = toMoney(prices.promotional_price);
+
+  let price = regular;
+  let sale_price = null;
+  let invalid_sale_price = null; // promocional >= precio: no se envía (lo reporta el diagnóstico)
+
+  if (regular && promo) {
+    const r = Number(regular);
+    const pnum = Number(promo);
+    if (Number.isFinite(r) && Number.isFinite(pnum) && pnum > 0 && pnum < r) {
+      price = regular;
+      sale_price = promo;
+    } else {
+      sale_price = null;
+      if (pnum >= r) invalid_sale_price = promo;
+    }
+  }
+
+  let availability = 'out_of_stock';
+  let stock = null; // null = sin control de stock (ilimitado)
+  if (!v?.stock_management) {
+    availability = 'in_stock';
+  } else {
+    const st = v?.stock;
+    stock = Number(st) || 0;
+    if (st !== undefined && st !== null && Number(st) > 0) availability = 'in_stock';
+  }
+
+  return {
+    item_id,
+    // Solo con varias variantes: agrupa en Merchant y linkea a la variante
+    item_group_id: opts.group || null,
+    variant_id: opts.group ? variantId || null : null,
+    attributes: mapVariantAttributes(p, v, [opts.lang, opts.mainLang], opts.attributeMap),
+    ...resolveGtin(v),
+    sku: normalizeText(v?.sku) || null,
+    stock,
+    condition: 'new',
+    product_title: titleBase,
+    variant_title: variantName && variantName.toLowerCase() !== 'default' ? variantName : '',
+    title,
+    description: descBase,
+    handleSlug,
+    image_link: chooseImage(p, v),
+    additional_image_links: additionalImageLinks(p, chooseImage(p, v)),
+    shipping: variantShipping(v),
+    ...opts.categoryFields,
+    ...opts.publication,
+    price,
+    sale_price,
+    invalid_sale_price,
+    availability,
+    rawProduct: p,
+    rawVariant: v,
+  };
+}
+
+// Serializador Google por partes (cabecera / item / cierre): lo usa tanto buildXmlFeed
+// como la generación en streaming, así ambos producen exactamente el mismo XML.
+function googleXmlWriter({ storeDomain, storeId, currency, mainCurrency, lang, settings = {} }) {
+  const safeDomain = normalizeDomain(storeDomain) || 'invalid-domain';
+
+  // g:shipping configurado en la app (solo reglas en la moneda del feed)
+  const shippingRules = (Array.isArray(settings.shipping) ? settings.shipping : []).filter(
+    (r) => (r.currency || mainCurrency || currency) === currency
+  );
+
+  const head = () =>
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+      '<channel>',
+      '  <title>Feed de Productos Tiendanube</title>',
+      `  <link>https://${xmlEscape(safeDomain)}/</link>`,
+      '  <description>Feed generado desde la API de Tiendanube</description>',
+    ].join('\n') + '\n';
+
+  const item = (it) => {
+    const brandVal = itemBrand(storeId, it);
+
+    // Si no hay price, no emitimos item (Merchant lo rechaza)
+    if (!it.price) return '';
+
+    const link = productLink(safeDomain, it.handleSlug, lang, it.variant_id);
+
+    const lines = [];
+    lines.push('  <item>');
+    lines.push(`    <g:id>${xmlEscape(it.item_id)}</g:id>`);
+    if (it.item_group_id) {
+      lines.push(`    <g:item_group_id>${xmlEscape(it.item_group_id)}</g:item_group_id>`);
+    }
+    lines.push(`    <g:title><![CDATA[${safeCdata(it.title)}]]></g:title>`);
+    lines.push(`    <g:description><![CDATA[${safeCdata(it.description)}]]></g:description>`);
+    lines.push(`    <g:link>${xmlEscape(link)}</g:link>`);
+
+    if (it.image_link) lines.push(`    <g:image_link>${xmlEscape(it.image_link)}</g:image_link>`);
+    for (const img of it.additional_image_links || []) {
+      lines.push(`    <g:additional_image_link>${xmlEscape(img)}</g:additional_image_link>`);
+    }
+    lines.push(`    <g:availability>${xmlEscape(it.availability)}</g:availability>`);
+
+    lines.push(`    <g:price>${xmlEscape(it.price)} ${currency}</g:price>`);
+
+    // ✅ g:sale_price (si corresponde)
+    if (it.sale_price) {
+      lines.push(`    <g:sale_price>${xmlEscape(it.sale_price)} ${currency}</g:sale_price>`);
+    }
+
+    lines.push(`    <g:condition>${xmlEscape(it.condition || 'new')}</g:condition>`);
+
+    if (it.google_product_category) {
+      lines.push(`    <g:google_product_category>${xmlEscape(it.google_product_category)}</g:google_product_category>`);
+    }
+    if (it.product_type) {
+      lines.push(`    <g:product_type><![CDATA[${safeCdata(it.product_type)}]]></g:product_type>`);
+    }
+    for (const f of CUSTOM_LABEL_FIELDS) {
+      if (it[f]) lines.push(`    <g:${f}><![CDATA[${safeCdata(it[f])}]]></g:${f}>`);
+    }
+
+    // ✅ brand: si está vacío, no lo mandamos
+    if (brandVal) lines.push(`    <g:brand><![CDATA[${safeCdata(brandVal)}]]></g:brand>`);
+
+    // color / size / material / gender / pattern desde values de la variante
+    for (const field of VARIANT_ATTRIBUTE_FIELDS) {
+      const val = it.attributes?.[field];
+      if (val) lines.push(`    <g:${field}><![CDATA[${safeCdata(val)}]]></g:${field}>`);
+    }
+
+    // gtin válido y/o mpn (sku + marca); si no hay ninguno => identifier_exists=false
+    if (it.gtin) lines.push(`    <g:gtin>${xmlEscape(it.gtin)}</g:gtin>`);
+    const mpn = brandVal && it.sku ? it.sku : '';
+    if (mpn) lines.push(`    <g:mpn><![CDATA[${safeCdata(mpn)}]]></g:mpn>`);
+    if (!it.gtin && !mpn) lines.push('    <g:identifier_exists>false</g:identifier_exists>');
+
+    const ship = it.shipping || {};
+    if (ship.weight) lines.push(`    <g:shipping_weight>${xmlEscape(ship.weight)}</g:shipping_weight>`);
+    for (const dim of ['length', 'width', 'height']) {
+      if (ship[dim]) lines.push(`    <g:shipping_${dim}>${xmlEscape(ship[dim])}</g:shipping_${dim}>`);
+    }
+    for (const r of shippingRules) {
+      lines.push('    <g:shipping>');
+      lines.push(`      <g:country>${xmlEscape(r.country)}</g:country>`);
+      if (r.service) lines.push(`      <g:service><![CDATA[${safeCdata(r.service)}]]></g:service>`);
+      lines.push(`      <g:price>${xmlEscape(r.price)} ${currency}</g:price>`);
+      lines.push('    </g:shipping>');
+    }
+    lines.push('  </item>');
+    return lines.join('\n') + '\n';
+  };
+
+  const tail = () => '</channel>\n</rss>';
+
+  return { head, item, tail };
 }
 
-// Cache por tienda
-const feedCache = new Map(); // store_id -> { xml, etag, expiresAt, generatedAt }
-function getCached(storeId) {
-  const sid = String(storeId);
-  const c = feedCache.get(sid);
-  if (!c) return null;
-  if (Date.now() > c.expiresAt) {
-    feedCache.delete(sid);
-    return null;
+function buildXmlFeed(feed) {
+  const w = googleXmlWriter(feed);
+  return w.head() + feed.items.map((it) => w.item(it)).join('') + w.tail();
+}
+
+/* =========================
+   Reglas por tienda: filtros + transformaciones (entre flattenItems y el XML)
+   ========================= */
+
+// Acciones (DSL del panel -> acción interna)
+const RULE_ACTIONS = {
+  excluir: 'exclude',
+  titulo: 'title',
+  agregar_titulo: 'append_title',
+  agregar_descripcion: 'append_description',
+  condicion: 'condition',
+};
+const RULE_CONDITIONS_ALLOWED = ['new', 'refurbished', 'used'];
+// Reglas de custom labels (lista aparte): etiqueta_N <valor> si <condición>
+const LABEL_RULE_ACTIONS = Object.fromEntries(
+  CUSTOM_LABEL_FIELDS.map((f, i) => [`etiqueta_${i}`, f])
+);
+const RULE_FIELDS = {
+  tag: 'tag',
+  categoria: 'category',
+  precio: 'price',
+  stock: 'stock',
+  marca: 'brand',
+  publicado: 'published',
+  sku: 'sku',
+  descuento: 'discount', // % de promotional_price sobre price (0 sin oferta)
+  antiguedad: 'age_days', // días desde created_at del producto
+};
+const RULE_OPS = ['!=', '<=', '>=', '=', '<', '>', 'contiene'];
+const RULE_CONDITION_RE = new RegExp(
+  `^(${Object.keys(RULE_FIELDS).join('|')})\\s*(${RULE_OPS.join('|')})\\s*(.+)$`,
+  'i'
+);
+
+function parseRuleCondition(text) {
+  const m = String(text || '').trim().match(RULE_CONDITION_RE);
+  if (!m) return null;
+  return { field: RULE_FIELDS[m[1].toLowerCase()], op: m[2].toLowerCase(), value: m[3].trim() };
+}
+
+// "agregar_titulo - Envío gratis si precio >= 20000" -> { action, value, when, source }
+function parseRuleLine(line, actions = RULE_ACTIONS) {
+  const text = String(line || '').trim();
+  if (!text || text.startsWith('#')) return null;
+  const [keyword] = text.split(/\s+/, 1);
+  const action = actions[keyword.toLowerCase()];
+  if (!action) return { error: text };
+
+  let rest = text.slice(keyword.length).trim();
+  let when = null;
+  // El último " si <condición>" válido es la condición (el texto puede contener "si")
+  const seps = Array.from(rest.matchAll(/(?:^|\s)si\s+/gi)).reverse();
+  for (const sep of seps) {
+    const cond = parseRuleCondition(rest.slice(sep.index + sep[0].length));
+    if (cond) {
+      when = cond;
+      rest = rest.slice(0, sep.index).trim();
+      break;
+    }
+  }
+
+  if (action === 'exclude' && (!when || rest)) return { error: text };
+  if (action !== 'exclude' && !rest) return { error: text };
+  if (action === 'condition' && !RULE_CONDITIONS_ALLOWED.includes(rest.toLowerCase())) {
+    return { error: text };
   }
-  return c;
+  if (CUSTOM_LABEL_FIELDS.includes(action) && rest.length > CUSTOM_LABEL_MAX) return { error: text };
+  return { action, value: action === 'condition' ? rest.toLowerCase() : rest, when, source: text };
 }
-function setCached(storeId, xml) {
-  const sid = String(storeId);
-  const etag = crypto.createHash('sha1').update(xml).digest('hex');
-  const now = Date.now();
-  const ttlMs = Math.max(0, FEED_CACHE_TTL_SECONDS) * 1000;
-  feedCache.set(sid, {
-    xml,
-    etag,
-    generatedAt: now,
-    expiresAt: now + ttlMs,
+
+// Texto del panel -> { rules, errors }
+function parseFeedRules(text, actions = RULE_ACTIONS) {
+  const rules = [];
+  const errors = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const r = parseRuleLine(line, actions);
+    if (!r) continue;
+    if (r.error) errors.push(r.error);
+    else rules.push(r);
+  }
+  return { rules, errors };
+}
+function formatFeedRules(rules) {
+  return (Array.isArray(rules) ? rules : []).map((r) => r.source).join('\n');
+}
+
+function ruleFieldValue(it, field, ctx) {
+  const p = it.rawProduct || {};
+  switch (field) {
+    case 'tag':
+      return String(p.tags || '')
+        .split(',')
+        .map((t) => t.trim().toLowerCase())
+        .filter(Boolean);
+    case 'category':
+      return (it.category_names || []).map((n) => n.toLowerCase());
+    case 'price':
+      return Number(it.sale_price || it.price);
+    case 'stock':
+      return it.stock === null || it.stock === undefined ? Infinity : Number(it.stock);
+    case 'brand':
+      return itemBrand(ctx.storeId, it).toLowerCase();
+    case 'published':
+      return p.published !== false;
+    case 'sku':
+      return String(it.sku || '').toLowerCase();
+    case 'discount': {
+      const price = Number(it.price);
+      const sale = Number(it.sale_price);
+      if (!it.sale_price || !(price > 0)) return 0;
+      return Math.round((1 - sale / price) * 1000) / 10;
+    }
+    case 'age_days': {
+      const created = Date.parse(p.created_at || '');
+      return Number.isNaN(created) ? Infinity : (Date.now() - created) / 86400000;
+    }
+    default:
+      return null;
+  }
+}
+
+function ruleMatches(it, when, ctx) {
+  if (!when) return true;
+  const actual = ruleFieldValue(it, when.field, ctx);
+  const expected = when.value.toLowerCase();
+
+  if (when.field === 'published') {
+    const want = ['si', 'sí', 'true', '1', 'yes'].includes(expected);
+    return when.op === '!=' ? actual !== want : actual === want;
+  }
+  if (typeof actual === 'number') {
+    const n = Number(expected);
+    if (!Number.isFinite(n) || Number.isNaN(actual)) return false;
+    switch (when.op) {
+      case '=': return actual === n;
+      case '!=': return actual !== n;
+      case '<': return actual < n;
+      case '<=': return actual <= n;
+      case '>': return actual > n;
+      case '>=': return actual >= n;
+      default: return false;
+    }
+  }
+  const list = Array.isArray(actual) ? actual : [actual];
+  switch (when.op) {
+    case '=': return list.includes(expected);
+    case '!=': return !list.includes(expected);
+    case 'contiene': return list.some((v) => v.includes(expected));
+    default: return false;
+  }
+}
+
+// "{brand} {name} - {variant}" -> texto; limpia separadores colgando si falta algún dato
+function renderTitleTemplate(tpl, it, ctx) {
+  const vars = {
+    brand: itemBrand(ctx.storeId, it),
+    name: it.product_title || it.title,
+    variant: it.variant_title || '',
+    sku: it.sku || '',
+    category: (it.product_type || '').split(' > ').pop() || '',
+  };
+  return tpl
+    .replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m))
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-|–]+|[\s\-|–]+$/g, '')
+    .trim();
+}
+
+// => { items, stats: [{ rule, matched }] } — un item excluido ya no pasa por las reglas siguientes
+function applyFeedRules(items, rules, ctx = {}) {
+  const list = Array.isArray(rules) ? rules : [];
+  const stats = list.map((rule) => ({ rule: rule.source, matched: 0 }));
+  if (!list.length) return { items, stats };
+
+  const out = [];
+  for (const original of items) {
+    const it = { ...original };
+    let excluded = false;
+    list.forEach((rule, i) => {
+      if (excluded || !ruleMatches(it, rule.when, ctx)) return;
+      stats[i].matched += 1;
+      if (rule.action === 'exclude') excluded = true;
+      else if (rule.action === 'title') it.title = renderTitleTemplate(rule.value, it, ctx) || it.title;
+      else if (rule.action === 'append_title') it.title = `${it.title} ${rule.value}`;
+      else if (rule.action === 'append_description') it.description = `${it.description}\n${rule.value}`;
+      else if (rule.action === 'condition') it.condition = rule.value;
+    });
+    if (!excluded) out.push(it);
+  }
+  return { items: out, stats };
+}
+
+// Custom labels: por cada label gana la primera regla que coincide; los que ya vienen de
+// un override no se pisan. => { items, stats: [{ rule, matched }] } (matched = items etiquetados)
+function applyLabelRules(items, rules, ctx = {}) {
+  const list = Array.isArray(rules) ? rules : [];
+  const stats = list.map((rule) => ({ rule: rule.source, matched: 0 }));
+  if (!list.length) return { items, stats };
+
+  const out = items.map((original) => {
+    const it = { ...original };
+    list.forEach((rule, i) => {
+      if (it[rule.action] || !ruleMatches(it, rule.when, ctx)) return;
+      it[rule.action] = rule.value;
+      stats[i].matched += 1;
+    });
+    return it;
   });
-  return { etag };
+  return { items: out, stats };
 }
 
-function toMoney(v) {
-  if (v === undefined || v === null || v === '') return null;
-  const n = Number(v);
-  if (!Number.isFinite(n)) return null;
-  return n.toFixed(2);
+/* =========================
+   Feed Meta (Facebook/Instagram): CSV + XML
+   ========================= */
+
+const META_AVAILABILITY = { in_stock: 'in stock', out_of_stock: 'out of stock' };
+
+function stripHtml(s) {
+  return String(s || '')
+    .replace(/<(br|\/p|\/div|\/li)\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+}
+
+// Columnas requeridas por Meta Commerce, en orden
+const META_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'availability',
+  'condition',
+  'price',
+  'link',
+  'image_link',
+  'brand',
+  'item_group_id',
+  'sale_price',
+  'additional_image_link',
+];
+
+// Item aplanado -> fila Meta (null si no tiene precio)
+function toMetaRow(it, { storeDomain, storeId, storeName, currency, lang }) {
+  if (!it.price) return null;
+  // brand es obligatorio en Meta: igual que en TikTok, sin marca va el nombre de la tienda
+  const brand = itemBrand(storeId, it) || normalizeText(storeName);
+  return {
+    id: it.item_id,
+    title: it.title,
+    description: stripHtml(it.description) || it.title,
+    availability: META_AVAILABILITY[it.availability] || 'out of stock',
+    condition: it.condition || 'new',
+    price: `${it.price} ${currency}`,
+    link: productLink(storeDomain, it.handleSlug, lang, it.variant_id),
+    image_link: it.image_link || '',
+    brand,
+    item_group_id: it.item_group_id || '',
+    sale_price: it.sale_price ? `${it.sale_price} ${currency}` : '',
+    additional_image_link: it.additional_image_links || [],
+  };
+}
+
+function csvCell(v) {
+  const s = String(v ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Filas { col: valor | [valores] } -> CSV con encabezado (listas separadas por coma)
+function toCsv(columns, rows) {
+  const out = [columns.join(',')];
+  for (const row of rows) {
+    out.push(
+      columns.map((col) => csvCell(Array.isArray(row[col]) ? row[col].join(',') : row[col])).join(',')
+    );
+  }
+  return out.join('\n') + '\n';
+}
+
+function buildMetaCsv({ items, storeDomain, storeId, storeName, currency, lang }) {
+  const safeDomain = normalizeDomain(storeDomain) || 'invalid-domain';
+  const rows = items
+    .map((it) => toMetaRow(it, { storeDomain: safeDomain, storeId, storeName, currency, lang }))
+    .filter(Boolean);
+  return toCsv(META_COLUMNS, rows);
+}
+
+function buildMetaXml({ items, storeDomain, storeId, storeName, currency, lang }) {
+  const safeDomain = normalizeDomain(storeDomain) || 'invalid-domain';
+  const lines = [];
+  for (const it of items) {
+    const row = toMetaRow(it, { storeDomain: safeDomain, storeId, storeName, currency, lang });
+    if (!row) continue;
+    lines.push('  <item>');
+    for (const col of META_COLUMNS) {
+      const vals = Array.isArray(row[col]) ? row[col] : [row[col]];
+      for (const val of vals) {
+        if (!val) continue;
+        if (col === 'title' || col === 'description' || col === 'brand') {
+          lines.push(`    <g:${col}><![CDATA[${safeCdata(val)}]]></g:${col}>`);
+        } else {
+          lines.push(`    <g:${col}>${xmlEscape(val)}</g:${col}>`);
+        }
+      }
+    }
+    lines.push('  </item>');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+    '<channel>',
+    '  <title>Catálogo Meta Tiendanube</title>',
+    `  <link>https://${xmlEscape(safeDomain)}/</link>`,
+    '  <description>Feed generado desde la API de Tiendanube</description>',
+    lines.join('\n'),
+    '</channel>',
+    '</rss>',
+  ].join('\n');
+}
+
+/* =========================
+   Feed TikTok (catálogo TikTok Ads / Shop): CSV
+   ========================= */
+
+// Reglas de validación del catálogo TikTok
+const TIKTOK_TITLE_MAX = 150;
+const TIKTOK_DESCRIPTION_MAX = 5000;
+const TIKTOK_IMAGE_MIN_PX = 500;
+
+const TIKTOK_COLUMNS = [
+  'sku_id',
+  'title',
+  'description',
+  'availability',
+  'condition',
+  'price',
+  'sale_price',
+  'link',
+  'image_link',
+  'additional_image_link',
+  'brand',
+  'item_group_id',
+];
+
+// Imagen apta para TikTok: si Tiendanube informa medidas, exige >= 500x500
+function isTikTokImage(p, src) {
+  if (!src) return false;
+  const imgs = Array.isArray(p?.images) ? p.images : [];
+  const im = imgs.find((i) => (i?.src || i?.url) === src);
+  const w = Number(im?.width);
+  const h = Number(im?.height);
+  if (Number.isFinite(w) && Number.isFinite(h) && w > 0 && h > 0) {
+    return w >= TIKTOK_IMAGE_MIN_PX && h >= TIKTOK_IMAGE_MIN_PX;
+  }
+  return true;
+}
+
+function truncate(s, max) {
+  const str = String(s || '');
+  return str.length > max ? str.slice(0, max - 1).trimEnd() + '…' : str;
+}
+
+// Item aplanado -> fila TikTok (null si no cumple precio / marca / imagen)
+function toTikTokRow(it, { storeDomain, storeId, storeName, currency, lang }) {
+  if (!it.price) return null;
+  const p = it.rawProduct || {};
+
+  // brand es obligatorio: si el producto no tiene, usamos el nombre de la tienda
+  const brand = itemBrand(storeId, it) || normalizeText(storeName);
+  if (!brand) return null;
+
+  const images = [it.image_link, ...(it.additional_image_links || [])].filter((src) =>
+    isTikTokImage(p, src)
+  );
+  if (!images.length) return null;
+
+  return {
+    sku_id: it.item_id,
+    title: truncate(it.title, TIKTOK_TITLE_MAX),
+    description: truncate(stripHtml(it.description) || it.title, TIKTOK_DESCRIPTION_MAX),
+    availability: META_AVAILABILITY[it.availability] || 'out of stock',
+    condition: it.condition || 'new',
+    price: `${it.price} ${currency}`,
+    sale_price: it.sale_price ? `${it.sale_price} ${currency}` : '',
+    link: productLink(storeDomain, it.handleSlug, lang, it.variant_id),
+    image_link: images[0],
+    additional_image_link: images.slice(1),
+    brand,
+    item_group_id: it.item_group_id || '',
+  };
+}
+
+function buildTikTokCsv({ items, storeDomain, storeId, storeName, currency, lang }) {
+  const safeDomain = normalizeDomain(storeDomain) || 'invalid-domain';
+  const rows = items
+    .map((it) => toTikTokRow(it, { storeDomain: safeDomain, storeId, storeName, currency, lang }))
+    .filter(Boolean);
+  return toCsv(TIKTOK_COLUMNS, rows);
+}
+
+/* =========================
+   Feed en partes (catálogos que superan los límites de Merchant)
+   ========================= */
+
+// Cada producto cae siempre en el mismo bucket (hash de su id, con todas sus variantes) y su
+// parte es bucket % partes + 1. Las partes son potencia de 2: si hay que duplicarlas, cada
+// item se queda en su parte k o pasa a la k + N, nunca a otra.
+const FEED_PART_BUCKETS = 1024; // máximo de partes
+const FEED_PART_SIZE_MIN = 100;
+
+function feedPartBucket(it) {
+  const pid = String(it.rawProduct?.id ?? it.item_id);
+  return crypto.createHash('sha1').update(pid).digest().readUInt32BE(0) % FEED_PART_BUCKETS;
+}
+
+// settings.feed_part_size: máximo de items por parte (0 = feed único)
+function feedPartSize(settings = {}) {
+  const n = Number(settings.feed_part_size);
+  return Number.isInteger(n) && n > 0 ? n : 0;
+}
+
+// settings.feed_parts: cantidad actual de partes (la ajusta la app, solo crece)
+function feedPartCount(settings = {}) {
+  if (!feedPartSize(settings)) return 1;
+  const n = Number(settings.feed_parts);
+  return Number.isInteger(n) && n >= 1 && n <= FEED_PART_BUCKETS ? n : 1;
+}
+
+function countPartBuckets(items, buckets = new Array(FEED_PART_BUCKETS).fill(0)) {
+  for (const it of items) buckets[feedPartBucket(it)] += 1;
+  return buckets;
+}
+
+// Menor cantidad de partes (potencia de 2) en la que ninguna supera size
+function partsNeeded(buckets, size) {
+  for (let parts = 1; parts < FEED_PART_BUCKETS; parts *= 2) {
+    const counts = new Array(parts).fill(0);
+    buckets.forEach((n, b) => {
+      counts[b % parts] += n;
+    });
+    if (Math.max(...counts) <= size) return parts;
+  }
+  return FEED_PART_BUCKETS;
+}
+
+function selectFeedPart(items, part, parts) {
+  return items.filter((it) => (feedPartBucket(it) % parts) + 1 === part);
+}
+
+function feedPartLinks(appUrl, storeId, feedToken, parts) {
+  return Array.from({ length: parts }, (_, i) => ({
+    part: i + 1,
+    url: `${feedUrlFor(appUrl, storeId, feedToken)}&part=${i + 1}`,
+    gz_url: `${appUrl}/feeds/${encodeURIComponent(storeId)}/part-${i + 1}.xml.gz?token=${encodeURIComponent(feedToken)}`,
+  }));
+}
+
+/* =========================
+   Formatos de feed servidos por feedHandler
+   ========================= */
+const FEED_FORMATS = {
+  google: { contentType: 'text/xml; charset=utf-8', build: buildXmlFeed, writer: googleXmlWriter },
+  meta_csv: { contentType: 'text/csv; charset=utf-8', build: buildMetaCsv },
+  meta_xml: { contentType: 'text/xml; charset=utf-8', build: buildMetaXml },
+  tiktok_csv: { contentType: 'text/csv; charset=utf-8', build: buildTikTokCsv },
+};
+
+// Error con mensaje apto para devolver al cliente (ej. moneda no habilitada)
+function clientError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  return err;
+}
+
+function parseFeedQuery(req) {
+  // ?currency=USD => feed en esa moneda (debe estar habilitada en la tienda)
+  const currency = req.query.currency ? normalizeCurrency(req.query.currency) : null;
+  if (req.query.currency && !currency) throw clientError(400, 'Invalid currency');
+  // ?lang=pt => name/description/handle en ese idioma (debe estar habilitado)
+  const lang = req.query.lang ? normalizeLang(req.query.lang) : null;
+  if (req.query.lang && !lang) throw clientError(400, 'Invalid lang');
+  // ?part=2 => solo los items de esa parte (si la tienda tiene el feed en partes)
+  const part = req.query.part ? Number(req.query.part) : null;
+  if (req.query.part && !(Number.isInteger(part) && part >= 1)) throw clientError(400, 'Invalid part');
+  return { currency, lang, part };
+}
+
+// Contexto común del feed (todo salvo los productos): /store, moneda, idioma, dominio,
+// settings, overrides y categorías. opts.rules / opts.labelRules permiten probar reglas sin guardarlas.
+async function loadFeedContext(req, sid, token, opts = {}) {
+  const store = await getStoreInfo(sid, token);
+  const currencies = resolveStoreCurrencies(store);
+  const currency = opts.currency || currencies.main;
+  if (!currencies.enabled.includes(currency)) {
+    throw clientError(400, `Currency ${currency} no habilitada. Disponibles: ${currencies.enabled.join(', ')}`);
+  }
+  if (currency !== currencies.main && !(await getCatalogPriceCurrencies(sid, token)).has(currency)) {
+    throw clientError(400, `El catálogo no tiene precios en ${currency}: el feed saldría vacío`);
+  }
+  const languages = resolveStoreLanguages(store);
+  const lang = opts.lang || languages.main;
+  if (!languages.enabled.includes(lang)) {
+    throw clientError(400, `Idioma ${lang} no habilitado. Disponibles: ${languages.enabled.join(', ')}`);
+  }
+
+  const storeDomain = await getPublicDomain(req, sid, token);
+  const settings = await getStoreSettings(sid);
+  const overrides = await listProductOverrides(sid);
+  // Categorías son opcionales: si fallan, el feed sale sin product_type
+  const categories = await fetchAllCategories(sid, token).catch((e) => {
+    console.warn('[Feed] No se pudieron leer categorías:', e.message);
+    return [];
+  });
+
+  return {
+    sid,
+    store,
+    storeDomain,
+    storeName: getLocalized(store?.name, lang, languages.main),
+    currency,
+    mainCurrency: currencies.main,
+    lang,
+    settings,
+    overrides,
+    rules: opts.rules || settings.feed_rules,
+    labelRules: opts.labelRules || settings.label_rules,
+    part: opts.part || null,
+    parts: opts.parts || feedPartCount(settings),
+    partSize: feedPartSize(settings),
+    flattenOpts: {
+      currency,
+      mainCurrency: currencies.main,
+      lang,
+      mainLang: languages.main,
+      attributeMap: settings.variant_attributes,
+      categoryIndex: buildCategoryIndex(categories, [lang, languages.main]),
+      categoryMap: settings.category_map,
+    },
+  };
+}
+
+// Productos -> items aplanados + overrides + exclusiones + reglas + custom labels.
+// Cada producto se procesa por separado, así que se puede llamar por tandas (streaming).
+function processProducts(ctx, products) {
+  const flat = flattenItems(products, ctx.flattenOpts);
+  const eligible = applyExclusions(applyProductOverrides(flat, ctx.overrides), ctx.settings);
+  const ruled = applyFeedRules(eligible.items, ctx.rules, { storeId: ctx.sid });
+  const labeled = applyLabelRules(ruled.items, ctx.labelRules, { storeId: ctx.sid });
+  return {
+    flat,
+    eligible: eligible.items,
+    excluded: eligible.excluded,
+    items: labeled.items,
+    ruleStats: ruled.stats,
+    labelStats: labeled.stats,
+  };
+}
+
+// Pipeline completo en memoria (preview, diagnóstico, formatos CSV)
+async function loadFeedItems(req, sid, token, opts = {}) {
+  const ctx = await loadFeedContext(req, sid, token, opts);
+  const products = await getCatalogProducts(sid, token);
+  const { store, storeDomain, storeName, currency, mainCurrency, lang, settings } = ctx;
+  return {
+    store,
+    storeDomain,
+    storeName,
+    currency,
+    mainCurrency,
+    lang,
+    settings,
+    products,
+    ...processProducts(ctx, products),
+  };
+}
+
+// Acumula lo que generateFeed guarda en métricas, tanda por tanda (items = todas las partes)
+function newFeedStats(ctx) {
+  return {
+    products: 0,
+    items: 0,
+    eligible: 0,
+    excluded: Object.fromEntries(EXCLUSION_REASONS.map((r) => [r, 0])),
+    invalidBarcodesCount: 0,
+    invalidBarcodes: [],
+    partBuckets: ctx.partSize ? countPartBuckets([]) : null,
+    snapshot: [], // items emitidos, ver snapshotItem
+  };
+}
+function addFeedStats(stats, products, batch) {
+  stats.products += products.length;
+  stats.items += batch.items.length;
+  if (stats.partBuckets) countPartBuckets(batch.items, stats.partBuckets);
+  stats.eligible += batch.eligible.length;
+  for (const r of EXCLUSION_REASONS) stats.excluded[r] += batch.excluded[r];
+  for (const it of batch.flat) {
+    if (!it.invalid_barcode) continue;
+    stats.invalidBarcodesCount += 1;
+    if (stats.invalidBarcodes.length < 50) {
+      stats.invalidBarcodes.push({ item_id: it.item_id, title: it.title, barcode: it.invalid_barcode });
+    }
+  }
+  return stats;
+}
+
+// Cuerpo del cache: gzip + etag (sha1 del cuerpo sin comprimir)
+function cacheBody(body) {
+  return {
+    gz: zlib.gzipSync(body),
+    etag: crypto.createHash('sha1').update(body).digest('hex'),
+  };
+}
+
+// res.locals.gzFile: se sirve el archivo .gz en sí (ej. /feeds/:store_id/part-1.xml.gz)
+function acceptsGzip(req, res) {
+  return !!res.locals?.gzFile || /\bgzip\b/i.test(req.headers['accept-encoding'] || '');
+}
+
+function setFeedHeaders(res, contentType, gzip) {
+  res.setHeader('Content-Type', res.locals?.gzFile ? 'application/gzip' : contentType);
+  res.setHeader('Cache-Control', `public, max-age=${FEED_CACHE_TTL_SECONDS}`);
+  res.setHeader('Vary', 'Accept-Encoding');
+  if (gzip && !res.locals?.gzFile) res.setHeader('Content-Encoding', 'gzip');
+}
+
+// Genera el feed escribiendo cada <item> en la respuesta a medida que llegan las páginas del
+// catálogo. El etag se calcula incremental y va como trailer (los headers salen antes de
+// conocerlo); el gzip se arma una sola vez y sirve para la respuesta y para el cache.
+// Lo que queda en memoria hasta el final es ese gzip y el resumen por item del historial.
+async function streamFeed(req, sid, token, params, fmt, res) {
+  const ctx = await loadFeedContext(req, sid, token, params);
+  const writer = fmt.writer({ ...ctx, storeId: sid });
+  const stats = newFeedStats(ctx);
+  const hash = crypto.createHash('sha1');
+  const gzip = zlib.createGzip();
+  const chunks = [];
+  const gzipDone = new Promise((resolve, reject) => {
+    gzip.on('end', resolve);
+    gzip.on('error', reject);
+  });
+  const toClient = res && acceptsGzip(req, res) ? 'gzip' : res ? 'identity' : null;
+  let clientGone = false;
+
+  if (res) {
+    setFeedHeaders(res, fmt.contentType, toClient === 'gzip');
+    res.setHeader('Trailer', 'ETag');
+    res.on('close', () => {
+      if (!res.writableFinished) clientGone = true;
+    });
+  }
+
+  // Respeta el backpressure del cliente; si se va, el feed se termina igual para el cache
+  const drain = () =>
+    clientGone || !res.writableNeedDrain
+      ? null
+      : new Promise((resolve) => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+  gzip.on('data', (chunk) => {
+    chunks.push(chunk);
+    if (toClient === 'gzip' && !clientGone) res.write(chunk);
+  });
+
+  const write = async (text) => {
+    if (!text) return;
+    hash.update(text);
+    if (!gzip.write(text)) await new Promise((resolve) => gzip.once('drain', resolve));
+    if (toClient === 'identity' && !clientGone) res.write(text);
+    if (res) await drain();
+  };
+
+  try {
+    await write(writer.head());
+    await forEachCatalogPage(sid, token, async (products) => {
+      const batch = processProducts(ctx, products);
+      addFeedStats(stats, products, batch);
+      const items = ctx.part ? selectFeedPart(batch.items, ctx.part, ctx.parts) : batch.items;
+      addSnapshotItems(stats, sid, items);
+      await write(items.map((it) => writer.item(it)).join(''));
+    });
+    await write(writer.tail());
+    gzip.end();
+    await gzipDone;
+  } catch (err) {
+    gzip.destroy();
+    throw err;
+  }
+
+  const body = { gz: Buffer.concat(chunks), etag: hash.digest('hex') };
+  if (res && !clientGone) {
+    res.addTrailers({ ETag: `"${toClient === 'gzip' ? `${body.etag}-gzip` : body.etag}"` });
+    res.end();
+  }
+  return { ctx, stats, body };
+}
+
+// Genera un feed, lo guarda en cache y actualiza métricas. req solo se usa para ?domain=.
+// Con res (y un formato con writer) el feed se va escribiendo en la respuesta mientras se genera.
+async function generateFeed(req, sid, token, params, res = null) {
+  const fmt = FEED_FORMATS[params.format || 'google'];
+  const m = getMetrics(sid);
+  const t0 = Date.now();
+  let ctx;
+  let stats;
+  let body;
+  if (fmt.writer) {
+    ({ ctx, stats, body } = await streamFeed(req, sid, token, params, fmt, res));
+  } else {
+    ctx = await loadFeedContext(req, sid, token, params);
+    const products = await getCatalogProducts(sid, token);
+    const batch = processProducts(ctx, products);
+    stats = addFeedStats(newFeedStats(ctx), products, batch);
+    const items = ctx.part ? selectFeedPart(batch.items, ctx.part, ctx.parts) : batch.items;
+    addSnapshotItems(stats, sid, items);
+    body = cacheBody(fmt.build({ ...ctx, ...batch, products, items, storeId: sid }));
+  }
+
+  const entry = await setCached(feedParamsKey(sid, params), sid, params, body);
+  await recordFeedSnapshot(entry, stats.snapshot);
+
+  m.last_generated_at = new Date().toISOString();
+  m.last_generation_ms = Date.now() - t0;
+  m.last_products_count = stats.products;
+  m.last_items_count = stats.items;
+  m.last_domain = ctx.storeDomain;
+  m.last_unpublished_excluded = stats.excluded.unpublished;
+  m.last_excluded = stats.excluded;
+  m.last_rules_excluded = stats.eligible - stats.items;
+  m.last_invalid_barcodes_count = stats.invalidBarcodesCount;
+  m.last_invalid_barcodes = stats.invalidBarcodes;
+
+  // Lo que muestra el panel (exclusiones, GTIN inválidos) va a settings: las métricas son de
+  // esta instancia y un feed servido del cache no pasa por acá
+  await saveStoreSettings(sid, {
+    feed_report: {
+      generated_at: m.last_generated_at,
+      items: stats.items,
+      excluded: stats.excluded,
+      rules_excluded: m.last_rules_excluded,
+      invalid_barcodes_count: stats.invalidBarcodesCount,
+      invalid_barcodes: stats.invalidBarcodes,
+    },
+  });
+
+  // El catálogo creció y alguna parte supera el límite: a partir de ahora se usan más partes
+  if (stats.partBuckets) {
+    const needed = partsNeeded(stats.partBuckets, ctx.partSize);
+    if (needed > ctx.parts) {
+      await saveStoreSettings(sid, { feed_parts: needed });
+      console.warn(`[Feed] store_id=${sid}: ${stats.items} items, el feed pasa de ${ctx.parts} a ${needed} partes`);
+    }
+  }
+  return entry;
+}
+
+// Una sola regeneración por key a la vez (en esta instancia; entre instancias vía claimFeedRefresh).
+// background=true: si otra instancia ya la reservó, no hace nada y devuelve null.
+// res: solo el request que dispara la generación la recibe en streaming; los que llegan
+// mientras tanto esperan la entrada del cache.
+const feedRefreshes = new Map(); // key -> Promise<entry | null>
+function refreshFeed(req, sid, token, params, { background = false, res = null } = {}) {
+  const key = feedParamsKey(sid, params);
+  if (feedRefreshes.has(key)) return feedRefreshes.get(key);
+
+  const job = (async () => {
+    if (background && !(await claimFeedRefresh(key))) return null;
+    return generateFeed(req, sid, token, params, res);
+  })().finally(() => feedRefreshes.delete(key));
+  feedRefreshes.set(key, job);
+  return job;
 }
 
-function normalizeText(s) {
-  return String(s || '').trim();
+// If-None-Match => etags "puros" (sin W/, comillas ni el sufijo -gzip de la versión comprimida)
+function parseIfNoneMatch(header) {
+  return String(header || '')
+    .split(',')
+    .map((t) => t.trim().replace(/^W\//, '').replace(/"/g, '').replace(/-gzip$/, ''))
+    .filter(Boolean);
 }
 
-function chooseImage(p, v) {
-  const imgs = Array.isArray(p?.images) ? p.images : [];
-  if (v && v.image_id && imgs.length) {
-    const hit = imgs.find((im) => String(im.id) === String(v.image_id));
-    if (hit) return hit.src || hit.url || '';
+// Sirve una entrada del cache (guardada en gzip): tal cual si el cliente acepta gzip,
+// si no descomprimida al vuelo.
+function sendFeed(req, res, contentType, entry) {
+  const m = getMetrics(entry.store_id);
+  if (parseIfNoneMatch(req.headers['if-none-match']).includes(entry.etag)) {
+    m.feed_304 += 1;
+    res.setHeader('Vary', 'Accept-Encoding');
+    res.status(304).end();
+    return;
   }
-  if (imgs.length) return imgs[0].src || imgs[0].url || '';
-  return '';
+
+  const gzip = acceptsGzip(req, res);
+  setFeedHeaders(res, contentType, gzip);
+  res.setHeader('ETag', `"${gzip ? `${entry.etag}-gzip` : entry.etag}"`);
+  res.setHeader('Last-Modified', new Date(entry.generatedAt).toUTCString());
+  if (gzip) {
+    res.setHeader('Content-Length', entry.gz.length);
+    res.end(entry.gz);
+    return;
+  }
+  const gunzip = zlib.createGunzip();
+  gunzip.on('error', (err) => res.destroy(err));
+  gunzip.pipe(res);
+  gunzip.end(entry.gz);
 }
 
-// Devuelve items ya “aplanados” según modo de variantes
-function flattenItems(products) {
-  const items = [];
-  for (const p of products) {
-    const productId = p?.id != null ? String(p.id) : normalizeText(getLocalized(p?.handle));
-    const titleBase = normalizeText(getLocalized(p?.name));
-    const descBase = normalizeText(getLocalized(p?.description)) || titleBase;
-    const handleSlug = normalizeText(getLocalized(p?.handle)) || productId;
+function feedHandler(format) {
+  const fmt = FEED_FORMATS[format];
+  return async (req, res) => {
+    const { store_id } = req.query;
+    if (!store_id) return res.status(400).send('Missing store_id');
 
-    const variants = Array.isArray(p?.variants) ? p.variants : [];
-    if (!variants.length) {
-      items.push({
-        item_id: productId,
-        title: titleBase,
-        description: descBase,
-        handleSlug,
-        image_link: chooseImage(p, null),
-        price: null,
-        sale_price: null,
-        availability: 'out_of_stock',
-        rawProduct: p,
-        rawVariant: null,
-      });
-      continue;
+    let params;
+    try {
+      params = { format, ...parseFeedQuery(req) };
+    } catch (err) {
+      return res.status(err.status).send(err.message);
     }
 
-    if (VARIANT_MODE === 'first') {
-      const v = variants[0];
-      items.push(buildItemFromVariant(p, v, productId, titleBase, descBase, handleSlug));
-    } else {
-      // split: 1 item por variante (recomendado para Merchant)
-      for (const v of variants) {
-        items.push(buildItemFromVariant(p, v, productId, titleBase, descBase, handleSlug));
+    const sid = String(store_id);
+    const m = getMetrics(sid);
+    m.feed_requests += 1;
+
+    try {
+      const token = await getToken(sid);
+      if (!token) return res.status(401).send('No hay token. Instala la app primero para esta tienda.');
+
+      const access = await checkFeedToken(sid, req.query.token);
+      if (!access) {
+        m.feed_unauthorized += 1;
+        return res.status(403).send('Invalid feed token');
       }
+      if (access !== 'current') {
+        m.feed_token_grace_hits += 1;
+        console.warn(`[Feed] store_id=${sid} accedido con ${access === 'legacy' ? 'URL sin token' : 'token anterior'} (período de gracia)`);
+      }
+
+      if (params.part) {
+        const settings = await getStoreSettings(sid);
+        params.parts = feedPartCount(settings);
+        if (!feedPartSize(settings) || params.part > params.parts) {
+          return res.status(404).send('Feed part not found');
+        }
+      }
+
+      // 1) Cache (fresco o stale: el stale se sirve y se regenera en background)
+      const cached = await getCached(feedParamsKey(sid, params));
+      if (cached) {
+        if (isFresh(cached)) {
+          m.feed_cache_hits += 1;
+        } else {
+          m.feed_stale_served += 1;
+          // waitUntil: en Vercel la función sigue viva hasta que termine la regeneración (si no,
+          // se suspende al cerrar la respuesta); fuera de Vercel la promesa corre igual
+          waitUntil(
+            refreshFeed({ query: { domain: req.query.domain } }, sid, token, params, { background: true })
+              .then((entry) => {
+                if (entry) m.feed_background_refreshes += 1;
+              })
+              .catch((err) => {
+                m.feed_errors += 1;
+                m.last_error = String(err?.message || err);
+                console.error('[Feed] Error regenerando feed en background:', err);
+              })
+          );
+        }
+        return sendFeed(req, res, fmt.contentType, cached);
+      }
+
+      // 2) Generar (los formatos con writer ya responden en streaming)
+      let entry = await refreshFeed(req, sid, token, params, { res });
+      // Se sumó a una regeneración en background que terminó sin entrada (la tenía reservada
+      // otra instancia): se usa lo que haya dejado en el cache o se genera acá
+      if (!entry && !res.headersSent) {
+        entry = (await getCached(feedParamsKey(sid, params))) || (await generateFeed(req, sid, token, params, res));
+      }
+
+      // 3) Responder
+      if (!res.headersSent) sendFeed(req, res, fmt.contentType, entry);
+    } catch (err) {
+      if (err.expose && !res.headersSent) return res.status(err.status).send(err.message);
+      m.feed_errors += 1;
+      m.last_error = String(err?.message || err);
+      console.error('[Feed] Error generando feed:', err);
+      // Si el streaming ya empezó no hay forma de avisar con un status: se corta la respuesta
+      if (res.headersSent) return res.destroy(err);
+      res.status(500).send('Error generating feed');
     }
-  }
-  return items;
+  };
 }
 
-function buildItemFromVariant(p, v, productId, titleBase, descBase, handleSlug) {
-  const variantId = v?.id != null ? String(v.id) : '';
-  const item_id = variantId ? `${productId}-${variantId}` : productId;
+app.get('/feed.xml', feedHandler('google'));
+app.get('/feed/meta.csv', feedHandler('meta_csv'));
+app.get('/feed/meta.xml', feedHandler('meta_xml'));
+app.get('/feed/tiktok.csv', feedHandler('tiktok_csv'));
 
-  const variantName = normalizeText(getLocalized(v?.name));
-  const title =
-    variantName && variantName.toLowerCase() !== 'default'
-      ? `${titleBase} - ${variantName}`
-      : titleBase;
+// Partes del feed de Google como archivos .gz (mismo cache y token que /feed.xml?part=N)
+const googleFeedHandler = feedHandler('google');
+app.get('/feeds/:store_id/part-:part(\\d+).xml.gz', (req, res) => {
+  req.query.store_id = req.params.store_id;
+  req.query.part = req.params.part;
+  res.locals.gzFile = true;
+  return googleFeedHandler(req, res);
+});
 
-  const regular = toMoney(v?.price);
-  const promo = toMoney(v?.promotional_price);
+// Índice de partes: las URLs que hay que cargar en Merchant Center
+app.get('/feeds/:store_id/index.json', async (req, res) => {
+  const sid = String(req.params.store_id);
+  try {
+    if (!(await hasToken(sid))) return res.status(401).json({ error: 'no token' });
+    // Solo con el token vigente: el índice lo incluye en las URLs, y con un token viejo (o sin
+    // token) se podría obtener el que lo reemplazó
+    const currentToken = req.query.token;
+    if ((await checkFeedToken(sid, currentToken)) !== 'current') {
+      return res.status(403).json({ error: 'invalid feed token' });
+    }
 
-  let price = regular;
-  let sale_price = null;
+    const settings = await getStoreSettings(sid);
+    const appUrl = process.env.APP_URL || 'https://tn-feed-app.vercel.app';
+    const size = feedPartSize(settings);
+    return res.json({
+      store_id: sid,
+      partitioned: size > 0,
+      part_size: size || null,
+      parts: feedPartCount(settings),
+      feeds: size
+        ? feedPartLinks(appUrl, sid, currentToken, feedPartCount(settings))
+        : [{ part: null, url: feedUrlFor(appUrl, sid, currentToken) }],
+    });
+  } catch (e) {
+    console.error('[Feed] Error armando índice de partes:', e);
+    return res.status(500).json({ error: e.message });
+  }
+});
 
-  if (regular && promo) {
-    const r = Number(regular);
-    const pnum = Number(promo);
-    if (Number.isFinite(r) && Number.isFinite(pnum) && pnum > 0 && pnum < r) {
-      price = regular;
-      sale_price = promo;
-    } else {
-      sale_price = null;
-    }
+/* =========================
+   Diagnóstico del feed (chequeos al estilo Merchant Center)
+   ========================= */
+
+const GOOGLE_TITLE_MAX = 150;
+const GOOGLE_DESCRIPTION_MAX = 5000;
+const DIAGNOSTIC_SAMPLE = 100; // items listados por chequeo
+
+const DIAGNOSTIC_CHECKS = {
+  missing_image: { severity: 'error', label: 'Sin imagen' },
+  duplicate_id: { severity: 'error', label: 'ID duplicado' },
+  sale_price_not_lower: { severity: 'error', label: 'Precio de oferta mayor o igual al precio' },
+  fallback_domain: { severity: 'error', label: 'Link al dominio de respaldo *.tiendanube.com' },
+  title_too_long: { severity: 'warning', label: `Título de más de ${GOOGLE_TITLE_MAX} caracteres` },
+  description_too_long: { severity: 'warning', label: `Descripción de más de ${GOOGLE_DESCRIPTION_MAX} caracteres` },
+  invalid_gtin: { severity: 'warning', label: 'Código de barras (GTIN) inválido' },
+  html_in_description: { severity: 'warning', label: 'HTML en la descripción' },
+};
+const DIAGNOSTIC_SEVERITIES = ['error', 'warning'];
+
+// => { items_checked, items_with_issues, summary: { error, warning }, by_severity: { error: [check], ... } }
+// check = { code, label, count, items: [{ item_id, title, detail }] } (solo los que tienen casos)
+function diagnoseFeed({ items, storeDomain, lang }) {
+  const found = Object.fromEntries(Object.keys(DIAGNOSTIC_CHECKS).map((c) => [c, []]));
+  const flagged = new Set();
+  const flag = (code, it, detail = '') => {
+    found[code].push({ item_id: it.item_id, title: it.title, detail });
+    flagged.add(it.item_id);
+  };
+
+  const domain = normalizeDomain(storeDomain) || '';
+  const fallbackDomain = /(^|\.)tiendanube\.com$/.test(domain);
+  const idCounts = new Map();
+  for (const it of items) idCounts.set(it.item_id, (idCounts.get(it.item_id) || 0) + 1);
+
+  for (const it of items) {
+    if (!it.image_link) flag('missing_image', it);
+    if (idCounts.get(it.item_id) > 1) flag('duplicate_id', it, `${idCounts.get(it.item_id)} items`);
+    const sale = it.invalid_sale_price || it.sale_price;
+    if (sale && Number(sale) >= Number(it.price)) flag('sale_price_not_lower', it, `${sale} >= ${it.price}`);
+    if (fallbackDomain) flag('fallback_domain', it, productLink(domain, it.handleSlug, lang, it.variant_id));
+    const title = String(it.title || '');
+    if (title.length > GOOGLE_TITLE_MAX) flag('title_too_long', it, `${title.length} caracteres`);
+    const desc = String(it.description || '');
+    if (desc.length > GOOGLE_DESCRIPTION_MAX) flag('description_too_long', it, `${desc.length} caracteres`);
+    if (it.invalid_barcode) flag('invalid_gtin', it, it.invalid_barcode);
+    if (/<\/?[a-z][^>]*>/i.test(desc)) flag('html_in_description', it);
   }
 
-  let availability = 'out_of_stock';
-  if (!v?.stock_management) {
-    availability = 'in_stock';
-  } else {
-    const st = v?.stock;
-    if (st !== undefined && st !== null && Number(st) > 0) availability = 'in_stock';
+  const summary = Object.fromEntries(DIAGNOSTIC_SEVERITIES.map((s) => [s, 0]));
+  const by_severity = Object.fromEntries(DIAGNOSTIC_SEVERITIES.map((s) => [s, []]));
+  for (const [code, hits] of Object.entries(found)) {
+    if (!hits.length) continue;
+    const { severity, label } = DIAGNOSTIC_CHECKS[code];
+    summary[severity] += hits.length;
+    by_severity[severity].push({ code, label, count: hits.length, items: hits.slice(0, DIAGNOSTIC_SAMPLE) });
   }
+  for (const s of DIAGNOSTIC_SEVERITIES) by_severity[s].sort((a, b) => b.count - a.count);
 
-  return {
-    item_id,
-    title,
-    description: descBase,
-    handleSlug,
-    image_link: chooseImage(p, v),
-    price,
-    sale_price,
-    availability,
-    rawProduct: p,
-    rawVariant: v,
-  };
+  return { items_checked: items.length, items_with_issues: flagged.size, summary, by_severity };
 }
 
-function buildXmlFeed({ items, storeDomain, storeId }) {
-  const safeDomain = normalizeDomain(storeDomain) || 'invalid-domain';
-  const currency = 'ARS';
+// Mismo acceso que los feeds (store_id + token); acepta ?currency= y ?lang=
+app.get('/feed/diagnostics', async (req, res) => {
+  const { store_id } = req.query;
+  if (!store_id) return res.status(400).json({ error: 'missing store_id' });
+  const sid = String(store_id);
 
-  const lines = [];
-  for (const it of items) {
-    const p = it.rawProduct || {};
-    const brandVal = getBrandForProduct(storeId, p);
+  try {
+    const params = parseFeedQuery(req);
+    const token = await getToken(sid);
+    if (!token) return res.status(401).json({ error: 'no token' });
+    if (!(await checkFeedToken(sid, req.query.token))) return res.status(403).json({ error: 'invalid feed token' });
 
-    // Si no hay price, no emitimos item (Merchant lo rechaza)
-    if (!it.price) continue;
+    const feed = await loadFeedItems(req, sid, token, params);
+    return res.json({
+      store_id: sid,
+      currency: feed.currency,
+      lang: feed.lang,
+      domain: feed.storeDomain,
+      ...diagnoseFeed(feed),
+    });
+  } catch (e) {
+    if (!e.expose) console.error('[Diagnóstico] Error:', e);
+    return res.status(e.expose ? e.status : 500).json({ error: e.message });
+  }
+});
 
-    const link = productLink(safeDomain, it.handleSlug);
+/* =========================
+   Historial del feed (snapshots por generación + diff)
+   ========================= */
 
-    lines.push('  <item>');
-    lines.push(`    <g:id>${xmlEscape(it.item_id)}</g:id>`);
-    lines.push(`    <g:title><![CDATA[${safeCdata(it.title)}]]></g:title>`);
-    lines.push(`    <g:description><![CDATA[${safeCdata(it.description)}]]></g:description>`);
-    lines.push(`    <g:link>${xmlEscape(link)}</g:link>`);
+// Snapshot de un item: [item_id, hash, title, price, sale_price, availability]. El hash
+// cubre todos los campos que salen al feed, para marcar cambios que no se detallan.
+const SNAPSHOT_FIELDS = ['title', 'price', 'sale_price', 'availability'];
+function snapshotItem(storeId, it) {
+  const { rawProduct, ...fields } = it;
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ ...fields, brand: itemBrand(storeId, it) }))
+    .digest('hex')
+    .slice(0, 16);
+  return [it.item_id, hash, ...SNAPSHOT_FIELDS.map((f) => it[f] ?? null)];
+}
+function addSnapshotItems(stats, storeId, items) {
+  for (const it of items) stats.snapshot.push(snapshotItem(storeId, it));
+}
 
-    if (it.image_link) lines.push(`    <g:image_link>${xmlEscape(it.image_link)}</g:image_link>`);
-    lines.push(`    <g:availability>${xmlEscape(it.availability)}</g:availability>`);
+// Fallback en memoria (mientras no haya DB)
+const feedSnapshots = new Map(); // cache_key -> [snapshot] (más viejo primero)
+let feedSnapshotSeq = 0;
 
-    lines.push(`    <g:price>${xmlEscape(it.price)} ${currency}</g:price>`);
+// Guarda la generación (si cambió respecto de la anterior del mismo feed) y aplica la retención
+async function recordFeedSnapshot(entry, items) {
+  const generatedAt = new Date(entry.generatedAt);
+  const cutoff = Date.now() - FEED_HISTORY_DAYS * 86400 * 1000;
+  if (!pool) {
+    const list = feedSnapshots.get(entry.key) || [];
+    if (list.length && list[list.length - 1].etag === entry.etag) return;
+    list.push({
+      id: String(++feedSnapshotSeq),
+      store_id: entry.store_id,
+      cache_key: entry.key,
+      params: entry.params || {},
+      etag: entry.etag,
+      items_count: items.length,
+      items,
+      generated_at: generatedAt.toISOString(),
+    });
+    feedSnapshots.set(
+      entry.key,
+      list.filter((sn) => new Date(sn.generated_at).getTime() >= cutoff).slice(-FEED_HISTORY_MAX)
+    );
+    return;
+  }
 
-    // ✅ g:sale_price (si corresponde)
-    if (it.sale_price) {
-      lines.push(`    <g:sale_price>${xmlEscape(it.sale_price)} ${currency}</g:sale_price>`);
-    }
+  try {
+    const { rows } = await pool.query(
+      'SELECT etag FROM feed_snapshots WHERE cache_key = $1 ORDER BY generated_at DESC, id DESC LIMIT 1',
+      [entry.key]
+    );
+    if (rows.length && rows[0].etag === entry.etag) return;
+    await pool.query(
+      `INSERT INTO feed_snapshots (store_id, cache_key, params, etag, items_count, items_gz, generated_at)
+       VALUES ($1, $2, $3::jsonb, $4, $5, $6, $7)`,
+      [
+        entry.store_id,
+        entry.key,
+        JSON.stringify(entry.params || {}),
+        entry.etag,
+        items.length,
+        zlib.gzipSync(JSON.stringify(items)),
+        generatedAt,
+      ]
+    );
+    await pool.query(
+      `DELETE FROM feed_snapshots
+        WHERE cache_key = $1
+          AND (generated_at < to_timestamp($2 / 1000.0)
+               OR id NOT IN (SELECT id FROM feed_snapshots WHERE cache_key = $1
+                              ORDER BY generated_at DESC, id DESC LIMIT $3))`,
+      [entry.key, cutoff, FEED_HISTORY_MAX]
+    );
+  } catch (err) {
+    console.error('[DB] ERROR guardando feed_snapshots:', err);
+  }
+}
 
-    lines.push('    <g:condition>new</g:condition>');
+// Generaciones de una tienda (sin los items), más nueva primero. key = un feed puntual.
+async function listFeedSnapshots(storeId, key = null) {
+  const sid = String(storeId);
+  if (!pool) {
+    return Array.from(feedSnapshots.values())
+      .flat()
+      .filter((sn) => sn.store_id === sid && (!key || sn.cache_key === key))
+      .sort((a, b) => b.generated_at.localeCompare(a.generated_at) || Number(b.id) - Number(a.id))
+      .map(({ items, ...meta }) => meta);
+  }
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, store_id, cache_key, params, etag, items_count, generated_at FROM feed_snapshots
+        WHERE store_id = $1 AND ($2::text IS NULL OR cache_key = $2)
+        ORDER BY generated_at DESC, id DESC LIMIT 500`,
+      [sid, key]
+    );
+    return rows.map((r) => ({ ...r, id: String(r.id), generated_at: new Date(r.generated_at).toISOString() }));
+  } catch (err) {
+    console.error('[DB] ERROR listando feed_snapshots:', err);
+    return [];
+  }
+}
 
-    // ✅ brand: si está vacío, no lo mandamos
-    if (brandVal) lines.push(`    <g:brand><![CDATA[${safeCdata(brandVal)}]]></g:brand>`);
+async function getFeedSnapshot(storeId, id) {
+  const sid = String(storeId);
+  if (!pool) {
+    const found = Array.from(feedSnapshots.values())
+      .flat()
+      .find((sn) => sn.store_id === sid && sn.id === String(id));
+    return found || null;
+  }
+  if (!/^\d+$/.test(String(id))) return null;
+  const { rows } = await pool.query(
+    `SELECT id, store_id, cache_key, params, etag, items_count, items_gz, generated_at FROM feed_snapshots
+      WHERE store_id = $1 AND id = $2`,
+    [sid, String(id)]
+  );
+  if (!rows.length) return null;
+  const { items_gz, ...r } = rows[0];
+  return {
+    ...r,
+    id: String(r.id),
+    generated_at: new Date(r.generated_at).toISOString(),
+    items: JSON.parse(zlib.gunzipSync(items_gz).toString('utf8')),
+  };
+}
 
-    lines.push('    <g:identifier_exists>false</g:identifier_exists>');
-    lines.push('  </item>');
+// Diff entre dos snapshots. Las listas se cortan en limit; summary siempre tiene los totales.
+function diffFeedSnapshots(from, to, limit = 500) {
+  const asItem = (r) => ({ item_id: r[0], ...Object.fromEntries(SNAPSHOT_FIELDS.map((f, i) => [f, r[i + 2]])) });
+  const before = new Map(from.items.map((r) => [r[0], r]));
+  const summary = { added: 0, removed: 0, changed: 0, title: 0, price: 0, availability: 0, other: 0 };
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const r of to.items) {
+    const old = before.get(r[0]);
+    if (!old) {
+      summary.added += 1;
+      if (added.length < limit) added.push(asItem(r));
+      continue;
+    }
+    before.delete(r[0]);
+    if (old[1] === r[1]) continue;
+
+    const changes = {};
+    SNAPSHOT_FIELDS.forEach((f, i) => {
+      if (old[i + 2] !== r[i + 2]) changes[f] = { from: old[i + 2], to: r[i + 2] };
+    });
+    summary.changed += 1;
+    if (changes.title) summary.title += 1;
+    if (changes.price || changes.sale_price) summary.price += 1;
+    if (changes.availability) summary.availability += 1;
+    if (!Object.keys(changes).length) summary.other += 1;
+    if (changed.length < limit) changed.push({ item_id: r[0], title: r[2], changes });
+  }
+  for (const r of before.values()) {
+    summary.removed += 1;
+    if (removed.length < limit) removed.push(asItem(r));
   }
+  return { summary, added, removed, changed };
+}
 
-  return [
-    '<?xml version="1.0" encoding="UTF-8"?>',
-    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
-    '<channel>',
-    '  <title>Feed de Productos Tiendanube</title>',
-    `  <link>https://${xmlEscape(safeDomain)}/</link>`,
-    '  <description>Feed generado desde la API de Tiendanube</description>',
-    lines.join('\n'),
-    '</channel>',
-    '</rss>',
-  ].join('\n');
+// { key, from, to } => diff. Sin to: la última generación del feed (por defecto, el principal
+// de Google); sin from: la generación anterior a to del mismo feed.
+async function loadFeedDiff(storeId, { key, from, to, limit } = {}) {
+  const sid = String(storeId);
+  let toId = to;
+  let fromId = from;
+  if (!toId || !fromId) {
+    const target = toId ? await getFeedSnapshot(sid, toId) : null;
+    const list = await listFeedSnapshots(sid, target?.cache_key || key || feedParamsKey(sid, { format: 'google' }));
+    if (!toId) toId = list[0]?.id;
+    const i = list.findIndex((sn) => sn.id === toId);
+    if (!fromId && i >= 0) fromId = list[i + 1]?.id;
+  }
+  if (!toId || !fromId) throw clientError(404, 'No hay dos generaciones para comparar');
+
+  const [a, b] = await Promise.all([getFeedSnapshot(sid, fromId), getFeedSnapshot(sid, toId)]);
+  if (!a || !b) throw clientError(404, 'Generación no encontrada');
+  const meta = ({ items, items_gz, ...rest }) => rest;
+  return { from: meta(a), to: meta(b), ...diffFeedSnapshots(a, b, limit) };
 }
 
-app.get('/feed.xml', async (req, res) => {
+// Historial y diff (mismo token que el feed)
+app.get('/feed/history', async (req, res) => {
   const { store_id } = req.query;
-  if (!store_id) return res.status(400).send('Missing store_id');
+  if (!store_id) return res.status(400).json({ error: 'missing store_id' });
+  const sid = String(store_id);
+  if (!(await hasToken(sid))) return res.status(401).json({ error: 'no token' });
+  if (!(await checkFeedToken(sid, req.query.token))) return res.status(403).json({ error: 'invalid feed token' });
+
+  const snapshots = await listFeedSnapshots(sid, req.query.key ? String(req.query.key) : null);
+  return res.json({ store_id: sid, retention_days: FEED_HISTORY_DAYS, max_per_feed: FEED_HISTORY_MAX, snapshots });
+});
 
+app.get('/feed/history/diff', async (req, res) => {
+  const { store_id } = req.query;
+  if (!store_id) return res.status(400).json({ error: 'missing store_id' });
   const sid = String(store_id);
-  const m = getMetrics(sid);
-  m.feed_requests += 1;
+  if (!(await hasToken(sid))) return res.status(401).json({ error: 'no token' });
+  if (!(await checkFeedToken(sid, req.query.token))) return res.status(403).json({ error: 'invalid feed token' });
 
   try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 5000);
+    const diff = await loadFeedDiff(sid, {
+      key: req.query.key ? String(req.query.key) : null,
+      from: req.query.from ? String(req.query.from) : null,
+      to: req.query.to ? String(req.query.to) : null,
+      limit,
+    });
+    return res.json({ store_id: sid, ...diff });
+  } catch (e) {
+    if (!e.expose) console.error('[Historial] Error:', e);
+    return res.status(e.expose ? e.status : 500).json({ error: e.message });
+  }
+});
+
+/* =========================
+   Pre-generación programada (Vercel Cron)
+   ========================= */
+
+// Regenera los feeds conocidos de cada tienda (como mínimo el de Google) para que
+// Merchant siempre encuentre uno listo. ?store_id= limita a una tienda.
+function isCronAuthorized(req) {
+  const auth = req.headers.authorization || '';
+  return !!CRON_SECRET && auth === `Bearer ${CRON_SECRET}`;
+}
+
+app.get('/cron/pregenerate', async (req, res) => {
+  if (!isCronAuthorized(req)) return res.status(401).send('Unauthorized');
+
+  const budgetMs = Number(process.env.CRON_TIME_BUDGET_MS || '50000');
+  const t0 = Date.now();
+  const stores = req.query.store_id ? [String(req.query.store_id)] : await listInstalledStores();
+  const result = { regenerated: [], skipped: [], errors: [] };
+
+  for (const sid of stores) {
     const token = await getToken(sid);
-    if (!token) return res.status(401).send('No hay token. Instala la app primero para esta tienda.');
-
-    // 1) Cache
-    const cached = getCached(sid);
-    if (cached) {
-      const ifNoneMatch = (req.headers['if-none-match'] || '').replace(/"/g, '');
-      if (ifNoneMatch && ifNoneMatch === cached.etag) {
-        m.feed_304 += 1;
-        res.status(304).end();
-        return;
-      }
+    if (!token) continue;
 
-      m.feed_cache_hits += 1;
-      res.setHeader('Content-Type', 'text/xml; charset=utf-8');
-      res.setHeader('Cache-Control', `public, max-age=${FEED_CACHE_TTL_SECONDS}`);
-      res.setHeader('ETag', `"${cached.etag}"`);
-      res.send(cached.xml);
-      return;
+    const known = await listCachedFeedParams(sid);
+    const paramsList = known.length ? known : [{ format: 'google' }];
+    const settings = await getStoreSettings(sid);
+    for (const params of paramsList) {
+      const key = feedParamsKey(sid, params);
+      // Partes de una división anterior (cambió el límite o la cantidad de partes)
+      if (params.part && (params.parts !== feedPartCount(settings) || !feedPartSize(settings))) {
+        result.skipped.push(key);
+        continue;
+      }
+      if (Date.now() - t0 > budgetMs) {
+        result.skipped.push(key);
+        continue;
+      }
+      try {
+        const entry = await refreshFeed({ query: {} }, sid, token, params, { background: known.length > 0 });
+        if (entry) result.regenerated.push(key);
+        else result.skipped.push(key);
+      } catch (err) {
+        const m = getMetrics(sid);
+        m.feed_errors += 1;
+        m.last_error = String(err?.message || err);
+        console.error(`[Cron] Error pre-generando ${key}:`, err);
+        result.errors.push({ key, error: String(err?.message || err) });
+      }
     }
+  }
 
-    // 2) Generar
-    const t0 = Date.now();
-    const storeDomain = await getPublicDomain(req, sid, token);
-    const products = await fetchAllProducts(sid, token);
-    const flat = flattenItems(products);
+  console.log(
+    `[Cron] Pre-generación: ${result.regenerated.length} ok, ${result.skipped.length} omitidos, ${result.errors.length} errores`
+  );
+  return res.json({ ...result, elapsed_ms: Date.now() - t0 });
+});
 
-    const xml = buildXmlFeed({
-      items: flat,
-      storeDomain,
-      storeId: sid,
-    });
+// Reconciliación del mirror (updated_at_min) para todas las tiendas
+app.get('/cron/reconcile', async (req, res) => {
+  if (!isCronAuthorized(req)) return res.status(401).send('Unauthorized');
+  if (!pool) return res.json({ ok: false, reason: 'no-pool' });
 
-    const { etag } = setCached(sid, xml);
+  const stores = req.query.store_id ? [String(req.query.store_id)] : await listInstalledStores();
+  const result = { reconciled: [], errors: [] };
+  for (const sid of stores) {
+    const token = await getToken(sid);
+    if (!token) continue;
+    try {
+      const changed = await syncMirror(sid, token, { force: true });
+      if (changed) await expireFeedCache(sid);
+      result.reconciled.push({ store_id: sid, changed });
+    } catch (err) {
+      console.error(`[Cron] Error reconciliando store_id=${sid}:`, err);
+      result.errors.push({ store_id: sid, error: String(err?.message || err) });
+    }
+  }
+  return res.json(result);
+});
 
-    const ms = Date.now() - t0;
-    m.last_generated_at = new Date().toISOString();
-    m.last_generation_ms = ms;
-    m.last_products_count = Array.isArray(products) ? products.length : null;
-    m.last_items_count = flat.length;
-    m.last_domain = storeDomain;
+// Re-sincroniza los webhooks de todas las tiendas instaladas (ej. después de cambiar APP_URL)
+app.get('/cron/webhooks', async (req, res) => {
+  if (!isCronAuthorized(req)) return res.status(401).send('Unauthorized');
 
-    // 3) Responder
-    const ifNoneMatch = (req.headers['if-none-match'] || '').replace(/"/g, '');
-    if (ifNoneMatch && ifNoneMatch === etag) {
-      m.feed_304 += 1;
-      res.status(304).end();
-      return;
+  const budgetMs = Number(process.env.CRON_TIME_BUDGET_MS || '50000');
+  const t0 = Date.now();
+  const stores = req.query.store_id ? [String(req.query.store_id)] : await listInstalledStores();
+  const result = { synced: [], skipped: [], errors: [] };
+  for (const sid of stores) {
+    if (Date.now() - t0 > budgetMs) {
+      result.skipped.push(sid);
+      continue;
     }
-
-    res.setHeader('Content-Type', 'text/xml; charset=utf-8');
-    res.setHeader('Cache-Control', `public, max-age=${FEED_CACHE_TTL_SECONDS}`);
-    res.setHeader('ETag', `"${etag}"`);
-    res.send(xml);
-  } catch (err) {
-    m.feed_errors += 1;
-    m.last_error = String(err?.message || err);
-    console.error('[Feed] Error generando feed:', err);
-    res.status(500).send('Error generating feed');
+    const token = await getToken(sid);
+    if (!token) continue;
+    const status = await syncWebhooks(sid, token);
+    if (status.ok) result.synced.push({ store_id: sid, events: status.events, deleted: status.deleted });
+    else result.errors.push({ store_id: sid, errors: status.errors });
   }
+  console.log(`[Cron] Webhooks: ${result.synced.length} ok, ${result.skipped.length} omitidos, ${result.errors.length} con errores`);
+  return res.json({ ...result, url: webhookUrl(), elapsed_ms: Date.now() - t0 });
 });
 
 /* =========================
-   Webhook endpoint: app/uninstalled
+   Webhook endpoint: firma + eventos (app/uninstalled, product/*, privacidad)
    ========================= */
-app.post('/webhook', express.json({ limit: '1mb' }), async (req, res) => {
+
+// Firma de Tiendanube: HMAC-SHA256 (hex) del cuerpo crudo con el client secret. Se verifica
+// sobre los bytes recibidos (re-serializar el JSON cambia orden/espacios y rompe la firma).
+function isValidWebhookSignature(rawBody, signature) {
+  const secret = process.env.TN_CLIENT_SECRET || '';
+  if (!secret || !signature) return false;
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return safeEqual(String(signature).trim().toLowerCase(), digest);
+}
+
+// Lee el cuerpo crudo, verifica la firma y recién ahí parsea el JSON en req.body
+const webhookBody = express.raw({ type: () => true, limit: '1mb' });
+function verifyWebhook(req, res, next) {
+  const raw = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const signature = req.headers['x-linkedstore-hmac-sha256'] || req.headers['http_x_linkedstore_hmac_sha256'];
+  if (!isValidWebhookSignature(raw, signature)) {
+    console.error('[Webhook] Firma inválida');
+    return res.status(401).send('Invalid signature');
+  }
   try {
-    const hmacHeader =
-      req.headers['x-linkedstore-hmac-sha256'] || req.headers['http_x_linkedstore_hmac_sha256'];
+    req.body = raw.length ? JSON.parse(raw.toString('utf8')) : {};
+  } catch (_) {
+    return res.status(400).send('Invalid JSON');
+  }
+  return next();
+}
 
-    const raw = JSON.stringify(req.body || {});
-    const secret = process.env.TN_CLIENT_SECRET || '';
-    const digest = crypto.createHmac('sha256', secret).update(raw).digest('hex');
-    const verified = hmacHeader && hmacHeader === digest;
+// Tablas con datos por tienda (todas tienen store_id)
+const STORE_DATA_TABLES = [
+  'tokens',
+  'store_settings',
+  'feed_cache',
+  'feed_snapshots',
+  'product_mirror',
+  'catalog_sync',
+  'product_overrides',
+];
 
-    if (!verified) {
-      console.error('[Webhook] Firma inválida');
-      return res.status(401).send('Invalid signature');
-    }
+// store/redact: borra todo lo que la app guarda de la tienda (DB + memoria de esta instancia)
+async function purgeStoreData(storeId) {
+  const sid = String(storeId);
+  // Que una regeneración en curso no vuelva a escribir el cache después del borrado
+  const pending = Array.from(feedRefreshes)
+    .filter(([key]) => key.split('|')[0] === sid)
+    .map(([, job]) => job);
+  await Promise.allSettled(pending);
+
+  delete storeTokens[sid];
+  delete storeSettings[sid];
+  delete productOverrides[sid];
+  storeMetrics.delete(sid);
+  tnBudgets.delete(sid);
+  previewCache.delete(sid);
+  storeInfoCache.delete(sid);
+  pricedCurrenciesCache.delete(sid);
+  for (const [key, c] of feedCache) {
+    if (c.store_id === sid) feedCache.delete(key);
+  }
+  for (const [key, list] of feedSnapshots) {
+    if (list.some((sn) => sn.store_id === sid)) feedSnapshots.delete(key);
+  }
+  if (!pool) return;
 
-    const { store_id, event } = req.body || {};
-    if (event === 'app/uninstalled' && store_id) {
-      await deleteToken(String(store_id));
-      console.log(`[Webhook] app/uninstalled recibido. store_id=${store_id} -> token eliminado`);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const table of STORE_DATA_TABLES) {
+      await client.query(`DELETE FROM ${table} WHERE store_id = $1`, [sid]);
     }
-    return res.status(200).send('OK');
-  } catch (e) {
-    console.error('[Webhook] Error procesando webhook:', e);
-    return res.status(500).send('Error');
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[DB] ERROR borrando datos de la tienda:', err);
+    throw err;
+  } finally {
+    client.release();
   }
-});
+}
+
+async function handleWebhookEvent(event, body) {
+  const { store_id, id } = body || {};
+  const sid = store_id != null ? String(store_id) : null;
+  if (event === 'app/uninstalled' && sid) {
+    await deleteToken(sid);
+    console.log(`[Webhook] app/uninstalled recibido. store_id=${sid} -> token eliminado`);
+  } else if (event === 'store/redact' && sid) {
+    await purgeStoreData(sid);
+    console.log(`[Webhook] store/redact recibido. store_id=${sid} -> datos de la tienda eliminados`);
+  } else if (event === 'customers/redact' || event === 'customers/data_request') {
+    // La app solo lee el catálogo: no guarda datos de clientes ni de órdenes
+    console.log(`[Webhook] ${event} recibido. store_id=${sid}: sin datos de clientes para ${event === 'customers/redact' ? 'borrar' : 'informar'}`);
+  } else if (/^product\//.test(event || '') && sid) {
+    await handleProductWebhook(sid, event, id);
+  }
+}
+
+function webhookHandler(fixedEvent = null) {
+  return async (req, res) => {
+    try {
+      await handleWebhookEvent(fixedEvent || req.body?.event, req.body);
+      return res.status(200).send('OK');
+    } catch (e) {
+      console.error('[Webhook] Error procesando webhook:', e);
+      return res.status(500).send('Error');
+    }
+  };
+}
+
+app.post('/webhook', webhookBody, verifyWebhook, webhookHandler());
+// Webhooks obligatorios de privacidad (se configuran en el Partner portal, una URL por evento)
+app.post('/webhooks/store-redact', webhookBody, verifyWebhook, webhookHandler('store/redact'));
+app.post('/webhooks/customers-redact', webhookBody, verifyWebhook, webhookHandler('customers/redact'));
+app.post('/webhooks/customers-data-request', webhookBody, verifyWebhook, webhookHandler('customers/data_request'));
 
 /* =========================
    DEBUG (solo si DEBUG=true)
@@ -876,7 +4864,7 @@ if (process.env.DEBUG === 'true') {
         return res.json({ rows: Object.keys(storeTokens).map((s) => ({ store_id: s })) });
       }
       const { rows } = await pool.query(
-        'SELECT store_id, created_at FROM tokens ORDER BY created_at DESC LIMIT 200'
+        'SELECT store_id, key_id, created_at FROM tokens ORDER BY created_at DESC LIMIT 200'
       );
       res.json(rows);
     } catch (e) {
@@ -900,27 +4888,51 @@ if (process.env.DEBUG === 'true') {
     return res.json({ stores: Array.from(storeMetrics.values()) });
   });
 
-  // ✅ Cache status
+  // ✅ Cache status (memoria de esta instancia + Postgres)
   app.get('/debug/cache', async (req, res) => {
     const store_id = req.query.store_id;
+    const byKey = new Map();
+    for (const c of feedCache.values()) byKey.set(c.key, { ...c, layer: 'memory' });
+    if (pool) {
+      try {
+        const { rows } = await pool.query(
+          `SELECT cache_key, store_id, etag, generated_at, expires_at, stale_until FROM feed_cache
+            WHERE ($1::text IS NULL OR store_id = $1) ORDER BY generated_at DESC LIMIT 500`,
+          [store_id ? String(store_id) : null]
+        );
+        for (const r of rows) {
+          if (byKey.has(r.cache_key)) continue;
+          byKey.set(r.cache_key, {
+            key: r.cache_key,
+            store_id: r.store_id,
+            etag: r.etag,
+            expiresAt: new Date(r.expires_at).getTime(),
+            staleUntil: new Date(r.stale_until).getTime(),
+            layer: 'db',
+          });
+        }
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
+    }
+    const entries = Array.from(byKey.values())
+      .filter((c) => !store_id || c.store_id === String(store_id))
+      .map((c) => ({
+        key: c.key,
+        store_id: c.store_id,
+        layer: c.layer,
+        etag: c.etag,
+        expires_in_ms: Math.max(0, c.expiresAt - Date.now()),
+        stale_in_ms: Math.max(0, c.staleUntil - Date.now()),
+      }));
     if (!store_id) {
       return res.json({
         ttl_seconds: FEED_CACHE_TTL_SECONDS,
-        entries: Array.from(feedCache.entries()).map(([sid, c]) => ({
-          store_id: sid,
-          etag: c.etag,
-          expires_in_ms: Math.max(0, c.expiresAt - Date.now()),
-        })),
+        stale_seconds: FEED_CACHE_STALE_SECONDS,
+        entries,
       });
     }
-    const c = getCached(String(store_id));
-    if (!c) return res.json({ store_id: String(store_id), cached: false });
-    return res.json({
-      store_id: String(store_id),
-      cached: true,
-      etag: c.etag,
-      expires_in_ms: Math.max(0, c.expiresAt - Date.now()),
-    });
+    return res.json({ store_id: String(store_id), cached: entries.length > 0, entries });
   });
 
   /* ======================================